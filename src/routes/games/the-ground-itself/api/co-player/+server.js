@@ -0,0 +1,54 @@
+// src/routes/games/the-ground-itself/api/co-player/+server.js
+import { json } from '@sveltejs/kit';
+import { env } from '$env/dynamic/private';
+import { getTextProvider, getTextTimeout, TextProviderError } from '../../server/textProviders.js';
+import { checkRateLimit, ImageRequestError } from '../../server/imageRequests.js';
+import { parseCoPlayerRequest } from '../../server/textRequests.js';
+
+export async function POST({ request, getClientAddress }) {
+	try {
+		checkRateLimit(env, `text:${getClientAddress()}`, { label: 'drafts' });
+
+		const body = await request.json().catch(() => null);
+		const turn = parseCoPlayerRequest(body);
+
+		// Server config alone decides which model runs - the client can't ask for a paid one
+		const provider = getTextProvider(env);
+		const draft = await provider.playTurn(turn, { timeoutMs: getTextTimeout(env) });
+
+		return json({ success: true, draft, provider: provider.name });
+	} catch (error) {
+		if (error instanceof ImageRequestError) {
+			return json(
+				{ success: false, error: error.message, code: error.code },
+				{
+					status: error.status,
+					headers: error.retryAfter ? { 'Retry-After': String(error.retryAfter) } : {}
+				}
+			);
+		}
+
+		if (error instanceof TextProviderError) {
+			console.error(`Text provider error (${error.provider}/${error.code}):`, error.message);
+			return json(
+				{
+					success: false,
+					error: error.message,
+					code: error.code,
+					provider: error.provider
+				},
+				{ status: error.status }
+			);
+		}
+
+		console.error('Co-player error:', error);
+		return json(
+			{
+				success: false,
+				error: "Failed to draft the co-player's turn",
+				details: error.message
+			},
+			{ status: 500 }
+		);
+	}
+}
@@ -0,0 +1,57 @@
+// src/routes/games/the-ground-itself/api/codex/+server.js
+import { json } from '@sveltejs/kit';
+import { env } from '$env/dynamic/private';
+import { getTextProvider, getTextTimeout, TextProviderError } from '../../server/textProviders.js';
+import { checkRateLimit, ImageRequestError } from '../../server/imageRequests.js';
+import { parseCodexRequest } from '../../server/textRequests.js';
+
+export async function POST({ request, getClientAddress }) {
+	try {
+		checkRateLimit(env, `text:${getClientAddress()}`, { label: 'suggestions' });
+
+		const body = await request.json().catch(() => null);
+		const { settingDescription, events, codex } = parseCodexRequest(body);
+
+		// Server config alone decides which model runs - the client can't ask for a paid one
+		const provider = getTextProvider(env);
+		const suggestions = await provider.extractEntities(
+			{ settingDescription, events, codex },
+			{ timeoutMs: getTextTimeout(env) }
+		);
+
+		return json({ success: true, suggestions, provider: provider.name });
+	} catch (error) {
+		if (error instanceof ImageRequestError) {
+			return json(
+				{ success: false, error: error.message, code: error.code },
+				{
+					status: error.status,
+					headers: error.retryAfter ? { 'Retry-After': String(error.retryAfter) } : {}
+				}
+			);
+		}
+
+		if (error instanceof TextProviderError) {
+			console.error(`Text provider error (${error.provider}/${error.code}):`, error.message);
+			return json(
+				{
+					success: false,
+					error: error.message,
+					code: error.code,
+					provider: error.provider
+				},
+				{ status: error.status }
+			);
+		}
+
+		console.error('Codex suggestion error:', error);
+		return json(
+			{
+				success: false,
+				error: 'Failed to suggest codex entries',
+				details: error.message
+			},
+			{ status: 500 }
+		);
+	}
+}
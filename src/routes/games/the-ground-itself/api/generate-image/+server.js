@@ -1,54 +1,144 @@
 // src/routes/games/the-ground-itself/api/generate-image/+server.js
 import { json } from '@sveltejs/kit';
-import { generateMockImageUrl } from '../../logic/promptBuilder.js';
+import { env } from '$env/dynamic/private';
+import {
+	getImageProvider,
+	getImageTimeout,
+	getNegativePrompt,
+	ImageProviderError
+} from '../../server/imageProviders.js';
+import { getContentFilter, ContentFilterError } from '../../server/contentFilter.js';
+import { buildContentLimits } from '../../logic/promptBuilder.js';
+import {
+	parseImageRequest,
+	checkRateLimit,
+	getGenerationBudget,
+	useGenerationBudget,
+	refundGenerationBudget,
+	ImageRequestError
+} from '../../server/imageRequests.js';
+import {
+	getImageKey,
+	getImageRoute,
+	getImageStore,
+	saveProviderResult,
+	getCachedImage
+} from '../../server/imageStore.js';
 
-export async function POST({ request }) {
+export async function POST({ request, getClientAddress }) {
 	try {
-		const { prompt, isDevelopmentMode } = await request.json();
+		// Keyed by address - a cookie or game id is the client's to choose, so it can't limit anything
+		const clientKey = getClientAddress();
+		checkRateLimit(env, clientKey);
 
-		if (!prompt) {
-			return json({ error: 'Prompt is required' }, { status: 400 });
-		}
+		const body = await request.json().catch(() => null);
+		const {
+			prompt: requestedPrompt,
+			style,
+			negativePrompt: negativeAdditions,
+			gameId,
+			safety
+		} = parseImageRequest(body, env);
+
+		// Server config alone decides which backend runs - the client can't ask for a paid one
+		const provider = getImageProvider(env);
+
+		// Screen the players' text before any provider sees it, then add the
+		// table's lines and veils - built here, so nothing rides along unscreened
+		const filter = getContentFilter(env, { offline: provider.name === 'mock' });
+		const screened = await filter.screen(requestedPrompt);
+		const { rewritten, reason } = screened;
+		const prompt = screened.prompt + buildContentLimits(safety);
 
-		// In development mode, return mock data
-		if (isDevelopmentMode) {
-			// Simulate API delay
-			await new Promise(resolve => setTimeout(resolve, 1000));
-			
-			const mockImageUrl = generateMockImageUrl(prompt);
-			
-			return json({
-				success: true,
-				imageUrl: mockImageUrl,
-				prompt: prompt,
-				isDevelopmentMode: true
-			});
+		const negativePrompt = provider.supportsNegativePrompt
+			? getNegativePrompt(env, negativeAdditions)
+			: '';
+		const store = getImageStore(env);
+		const key = getImageKey({ prompt, style, provider: provider.name, negativePrompt });
+
+		// Same prompt, style and provider as before - reuse the stored image, free of charge
+		const cached = Boolean(await getCachedImage(store, key));
+		let budget = getGenerationBudget(env, gameId);
+		if (!cached) {
+			budget = useGenerationBudget(env, gameId, clientKey);
+			try {
+				const result = await provider.generate(prompt, {
+					timeoutMs: getImageTimeout(env),
+					negativePrompt
+				});
+				await saveProviderResult(store, key, result, {
+					prompt,
+					style,
+					provider: provider.name,
+					negativePrompt
+				});
+			} catch (error) {
+				refundGenerationBudget(gameId, clientKey);
+				throw error;
+			}
 		}
 
-		// Production mode - would call real Gemini API here
-		// For now, we'll still return mock data until you're ready for real API calls
-		const mockImageUrl = generateMockImageUrl(prompt);
-		
 		return json({
 			success: true,
-			imageUrl: mockImageUrl,
+			imageUrl: getImageRoute(key),
+			imageKey: key,
+			cached,
 			prompt: prompt,
-			isDevelopmentMode: false,
-			note: 'Production API not yet implemented - using mock data'
+			negativePrompt: negativePrompt || null,
+			filtered: rewritten,
+			filterReason: reason,
+			provider: provider.name,
+			budget
 		});
+	} catch (error) {
+		if (error instanceof ImageRequestError) {
+			return json(
+				{
+					success: false,
+					error: error.message,
+					code: error.code,
+					...error.details
+				},
+				{
+					status: error.status,
+					headers: error.retryAfter ? { 'Retry-After': String(error.retryAfter) } : {}
+				}
+			);
+		}
 
-		/* 
-		// Real Gemini API implementation would go here:
-		// import { GoogleGenerativeAI } from '@google/generative-ai';
-		// const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-		// ... actual API call logic
-		*/
+		if (error instanceof ContentFilterError) {
+			console.warn(`Image prompt refused (${error.code}):`, error.message);
+			return json(
+				{
+					success: false,
+					error: error.reason,
+					code: error.code
+				},
+				{ status: error.status }
+			);
+		}
+
+		if (error instanceof ImageProviderError) {
+			console.error(`Image provider error (${error.provider}/${error.code}):`, error.message);
+			return json(
+				{
+					success: false,
+					error: error.message,
+					code: error.code,
+					provider: error.provider
+				},
+				{ status: error.status }
+			);
+		}
 
-	} catch (error) {
 		console.error('Image generation error:', error);
-		return json({ 
-			error: 'Failed to generate image',
-			details: error.message 
-		}, { status: 500 });
+		return json(
+			{
+				success: false,
+				error: 'Failed to generate image',
+				details: error.message
+			},
+			{ status: 500 }
+		);
 	}
 }
@@ -0,0 +1,31 @@
+// src/routes/games/the-ground-itself/api/images/[key]/+server.js
+import { error, redirect } from '@sveltejs/kit';
+import { env } from '$env/dynamic/private';
+import { getImageStore, isValidImageKey } from '../../../server/imageStore.js';
+
+/**
+ * Serve a stored image by its cache key.
+ * Keys are content hashes, so responses never change and can be cached forever.
+ */
+export async function GET({ params }) {
+	if (!isValidImageKey(params.key)) {
+		error(400, 'Invalid image key');
+	}
+
+	const entry = await getImageStore(env).get(params.key);
+	if (!entry) {
+		error(404, 'Image not found');
+	}
+
+	// Only the provider's URL was kept (e.g. offline placeholder) - send the browser there
+	if (entry.sourceUrl) {
+		redirect(302, entry.sourceUrl);
+	}
+
+	return new Response(entry.data, {
+		headers: {
+			'Content-Type': entry.mimeType,
+			'Cache-Control': 'public, max-age=31536000, immutable'
+		}
+	});
+}
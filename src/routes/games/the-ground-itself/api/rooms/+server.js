@@ -0,0 +1,20 @@
+// src/routes/games/the-ground-itself/api/rooms/+server.js
+import { json } from '@sveltejs/kit';
+import { createRoom, readRoomRequest, roomErrorResponse } from '../../server/rooms.js';
+
+/**
+ * Open a room around the host's current game
+ */
+export async function POST({ request }) {
+	try {
+		const { state, name } = await readRoomRequest(request);
+
+		if (!state || typeof state !== 'object') {
+			return json({ success: false, error: 'state is required' }, { status: 400 });
+		}
+
+		return json({ success: true, ...createRoom(state, name) });
+	} catch (error) {
+		return roomErrorResponse(error);
+	}
+}
@@ -0,0 +1,39 @@
+// src/routes/games/the-ground-itself/api/rooms/[code]/+server.js
+import { json } from '@sveltejs/kit';
+import { getRoom, joinRoom, updateParticipant, roomErrorResponse } from '../../../server/rooms.js';
+
+/**
+ * Room snapshot for a participant coming back after a reload
+ */
+export function GET({ params, url }) {
+	try {
+		return json({ success: true, room: getRoom(params.code, url.searchParams.get('token')) });
+	} catch (error) {
+		return roomErrorResponse(error);
+	}
+}
+
+/**
+ * Join the room as a new participant
+ */
+export async function POST({ params, request }) {
+	try {
+		const { name } = await request.json();
+		return json({ success: true, ...joinRoom(params.code, name) });
+	} catch (error) {
+		return roomErrorResponse(error);
+	}
+}
+
+/**
+ * Rename a participant or change which roster seat they play
+ */
+export async function PATCH({ params, request }) {
+	try {
+		const { token, name, playerId } = await request.json();
+		const participant = updateParticipant(params.code, token, { name, playerId });
+		return json({ success: true, participant });
+	} catch (error) {
+		return roomErrorResponse(error);
+	}
+}
@@ -0,0 +1,15 @@
+// src/routes/games/the-ground-itself/api/rooms/[code]/comments/+server.js
+import { json } from '@sveltejs/kit';
+import { addComment, roomErrorResponse } from '../../../../server/rooms.js';
+
+/**
+ * Post a comment to the room - anyone can, seated or watching
+ */
+export async function POST({ params, request }) {
+	try {
+		const { token, text } = await request.json();
+		return json({ success: true, comment: addComment(params.code, token, text) });
+	} catch (error) {
+		return roomErrorResponse(error);
+	}
+}
@@ -0,0 +1,43 @@
+// src/routes/games/the-ground-itself/api/rooms/[code]/events/+server.js
+import { getRoom, subscribe, roomErrorResponse } from '../../../../server/rooms.js';
+
+// Comment lines keep proxies from closing an idle stream
+const KEEPALIVE_MS = 25000;
+
+/**
+ * Server-sent event stream of a room's state changes, participants and comments
+ */
+export function GET({ params, url }) {
+	const token = url.searchParams.get('token');
+	const encoder = new TextEncoder();
+	let unsubscribe;
+	let keepalive;
+
+	try {
+		// Check up front so a bad code or participant gets a normal error response
+		getRoom(params.code, token);
+	} catch (error) {
+		return roomErrorResponse(error);
+	}
+
+	const stream = new ReadableStream({
+		start(controller) {
+			unsubscribe = subscribe(params.code, token, (event, data) => {
+				controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+			});
+			keepalive = setInterval(() => controller.enqueue(encoder.encode(': ping\n\n')), KEEPALIVE_MS);
+		},
+		cancel() {
+			clearInterval(keepalive);
+			unsubscribe();
+		}
+	});
+
+	return new Response(stream, {
+		headers: {
+			'Content-Type': 'text/event-stream',
+			'Cache-Control': 'no-cache',
+			Connection: 'keep-alive'
+		}
+	});
+}
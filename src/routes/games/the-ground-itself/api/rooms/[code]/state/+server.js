@@ -0,0 +1,21 @@
+// src/routes/games/the-ground-itself/api/rooms/[code]/state/+server.js
+import { json } from '@sveltejs/kit';
+import { pushState, readRoomRequest, roomErrorResponse } from '../../../../server/rooms.js';
+
+/**
+ * Replace the room's game state with a participant's change
+ */
+export async function PUT({ params, request }) {
+	try {
+		const { token, baseVersion, state } = await readRoomRequest(request);
+
+		if (!state || typeof state !== 'object') {
+			return json({ success: false, error: 'state is required' }, { status: 400 });
+		}
+
+		const version = pushState(params.code, token, baseVersion, state);
+		return json({ success: true, version });
+	} catch (error) {
+		return roomErrorResponse(error);
+	}
+}
@@ -0,0 +1,16 @@
+// src/routes/games/the-ground-itself/api/rooms/[code]/x-card/+server.js
+import { json } from '@sveltejs/kit';
+import { tapXCard, roomErrorResponse } from '../../../../server/rooms.js';
+
+/**
+ * Tap the X-card for the whole room - anyone can, seated or watching
+ */
+export async function POST({ params, request }) {
+	try {
+		const { token } = await request.json();
+		tapXCard(params.code, token);
+		return json({ success: true });
+	} catch (error) {
+		return roomErrorResponse(error);
+	}
+}
@@ -0,0 +1,437 @@
+// src/routes/games/the-ground-itself/logic/chronicle.js
+
+/**
+ * CHRONICLE EXPORT SERVICE
+ *
+ * Turns a finished game into a readable chronicle of the place.
+ * The history log is the ordered story of the game, so this service walks
+ * it and groups the events into setup, cycles, tens, time gaps and the
+ * final "tomorrow", each with the image generated for it.
+ *
+ * Output formats:
+ * - Markdown, for pasting into notes and wikis (images linked by absolute URL)
+ * - A self-contained HTML page with images inlined as data URLs
+ */
+
+import { describeTimeTravelled } from './timeGaps.js';
+
+export const FINAL_QUESTION =
+	'What happens tomorrow in your place? Who wakes up (does anyone)? What do they see, and what is the feeling they get from the world?';
+
+// History events that are a turn within a cycle, and how the chronicle shows them
+const CYCLE_ENTRY_TYPES = {
+	cardAnswer: 'question',
+	focusedSituation: 'focused',
+	tenCard: 'ten'
+};
+
+/**
+ * Build a structured chronicle from the game state
+ * @param {Object} state - Current game state
+ * @returns {Object} - { title, setting, timelineUnit, timeTravelled, seed, deckPack, imageStyle, players, imageUrl, setup, cycles, finalAnswer, finalImageUrl }
+ */
+export function buildChronicle(state) {
+	const history = state.history || [];
+	const setup = [];
+	const cycles = [];
+	let placeImageUrl = null;
+	let finalAnswer = null;
+	let finalImageUrl = null;
+
+	const getCycle = (number) => {
+		let cycle = cycles.find((entry) => entry.number === number);
+		if (!cycle) {
+			cycle = { number, entries: [], timeGap: null };
+			cycles.push(cycle);
+		}
+		return cycle;
+	};
+
+	for (const event of history) {
+		const imageUrl = event.imageUrl || null;
+
+		if (event.type === 'place') {
+			placeImageUrl = imageUrl;
+		} else if (event.type === 'faceCard') {
+			setup.push({
+				card: event.card,
+				question: event.question || '',
+				answer: event.answer,
+				imageUrl
+			});
+		} else if (CYCLE_ENTRY_TYPES[event.type]) {
+			getCycle(event.cycle || 1).entries.push({
+				type: CYCLE_ENTRY_TYPES[event.type],
+				card: event.card || { rank: event.type === 'tenCard' ? 'ten' : '' },
+				// A focused situation's question is the situation's name
+				situation: event.type === 'focusedSituation' ? event.question : null,
+				question: event.question || '',
+				answer: event.answer,
+				player: event.player?.name || null,
+				imageUrl
+			});
+		} else if (event.type === 'timeGap') {
+			const jump = event.timeGap || {};
+			getCycle(event.cycle || 1).timeGap = {
+				tenNumber: jump.tenNumber ?? null,
+				amount: jump.amount ?? null,
+				unit: jump.unit || state.timelineUnit,
+				direction: jump.direction || null,
+				answers: jump.answers || [],
+				imageUrl
+			};
+		} else if (event.type === 'final') {
+			finalAnswer = event.answer;
+			finalImageUrl = imageUrl;
+		}
+	}
+
+	return {
+		title: state.settingDescription || 'A Place',
+		setting: state.settingDescription || '',
+		timelineUnit: state.timelineUnit,
+		timeTravelled: describeTimeTravelled(state),
+		seed: state.seed,
+		deckPack: state.deckPack?.name || null,
+		imageStyle: (state.customImageStyle || '').trim() || state.imageStyle,
+		players: getPlayerContributions(state),
+		// The place's first image; games whose history has no images show the latest one
+		imageUrl:
+			placeImageUrl || (history.some((event) => event.imageUrl) ? null : state.currentImageUrl),
+		setup,
+		cycles,
+		finalAnswer,
+		finalImageUrl
+	};
+}
+
+/**
+ * Each player with the number of turns credited to them
+ * @param {Object} state - Current game state
+ * @returns {Array<{id: string, name: string, pronouns: string, color: string, turns: number}>}
+ */
+export function getPlayerContributions(state) {
+	const history = state.history || [];
+	return (state.players || []).map((player) => ({
+		...player,
+		turns: history.filter((event) => event.player?.id === player.id).length
+	}));
+}
+
+function capitalize(word) {
+	return word ? word.charAt(0).toUpperCase() + word.slice(1) : '';
+}
+
+function formatCard(card) {
+	return card.suit ? `${capitalize(card.rank)} of ${capitalize(card.suit)}` : capitalize(card.rank);
+}
+
+function formatTimeGap(timeGap) {
+	if (timeGap.amount == null) {
+		return `Time passed (${timeGap.unit || 'time'})`;
+	}
+	const direction = timeGap.direction === 'backward' ? 'backward' : 'forward';
+	return `${timeGap.amount} ${timeGap.unit || 'units of time'} ${direction}`;
+}
+
+/**
+ * Markdown image line, with app-relative URLs (e.g. the image store's
+ * route) made absolute so the file still shows them outside the app.
+ * Data URLs are left out - too large to paste anywhere.
+ */
+function markdownImage(url, alt, baseUrl) {
+	if (!url || url.startsWith('data:')) return null;
+	const src = baseUrl ? new URL(url, baseUrl).href : url;
+	return `![${alt}](${src})`;
+}
+
+function quoteMarkdown(text) {
+	return text
+		.split('\n')
+		.map((line) => `> ${line}`)
+		.join('\n');
+}
+
+/**
+ * Render the chronicle as Markdown
+ * @param {Object} state - Current game state
+ * @param {string} [baseUrl] - Origin to resolve app-relative image URLs against
+ * @returns {string} - Markdown document
+ */
+export function renderChronicleMarkdown(state, baseUrl = '') {
+	const chronicle = buildChronicle(state);
+	const lines = [];
+	const pushImage = (url, alt) => {
+		const image = markdownImage(url, alt, baseUrl);
+		if (image) lines.push(image, '');
+	};
+
+	lines.push(`# The Ground Itself: ${chronicle.title}`, '');
+	if (chronicle.timelineUnit) {
+		lines.push(`*Time measured in ${chronicle.timelineUnit}.*`, '');
+	}
+	if (chronicle.timeTravelled) {
+		lines.push(`*${chronicle.timeTravelled}*`, '');
+	}
+	if (chronicle.players.length > 0) {
+		lines.push(`Told by ${chronicle.players.map((player) => player.name).join(', ')}.`, '');
+	}
+	if (chronicle.seed) {
+		lines.push(`Game seed: \`${chronicle.seed}\``, '');
+	}
+	if (chronicle.deckPack) {
+		lines.push(`Played with the *${chronicle.deckPack}* deck pack.`, '');
+	}
+	pushImage(chronicle.imageUrl, 'Our place');
+
+	if (chronicle.setup.length > 0) {
+		lines.push('## Establishing the Place', '');
+		for (const entry of chronicle.setup) {
+			lines.push(`### ${formatCard(entry.card)}`, '', `**${entry.question}**`, '');
+			lines.push(quoteMarkdown(entry.answer), '');
+			pushImage(entry.imageUrl, formatCard(entry.card));
+		}
+	}
+
+	for (const cycle of chronicle.cycles) {
+		lines.push(`## Cycle ${cycle.number}`, '');
+
+		for (const entry of cycle.entries) {
+			if (entry.type === 'focused') {
+				lines.push(`### ${formatCard(entry.card)}: ${entry.situation}`, '');
+			} else {
+				lines.push(`### ${formatCard(entry.card)}`, '', `**${entry.question}**`, '');
+			}
+			if (entry.player) {
+				lines.push(`*${entry.player}:*`, '');
+			}
+			lines.push(quoteMarkdown(entry.answer), '');
+			pushImage(entry.imageUrl, formatCard(entry.card));
+		}
+
+		if (cycle.timeGap) {
+			lines.push(`### Time Gap: ${formatTimeGap(cycle.timeGap)}`, '');
+			for (const gapAnswer of cycle.timeGap.answers) {
+				lines.push(`**${gapAnswer.question}**`, '', quoteMarkdown(gapAnswer.answer), '');
+			}
+			pushImage(cycle.timeGap.imageUrl, 'Time gap');
+		}
+	}
+
+	if (chronicle.finalAnswer) {
+		lines.push('## Tomorrow', '', `**${FINAL_QUESTION}**`, '');
+		lines.push(quoteMarkdown(chronicle.finalAnswer), '');
+		pushImage(chronicle.finalImageUrl, 'Tomorrow');
+	}
+
+	return lines.join('\n');
+}
+
+function escapeHtml(text) {
+	return String(text)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+}
+
+function paragraphs(text) {
+	return text
+		.split(/\n{2,}/)
+		.map((paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br />')}</p>`)
+		.join('\n');
+}
+
+/**
+ * Fetch an image and convert it to a data URL so the HTML export is self-contained.
+ * Falls back to linking the image (made absolute) if it can't be fetched (e.g. CORS).
+ * @param {string} url - Image URL
+ * @param {string} [baseUrl] - Origin to resolve app-relative URLs against
+ * @returns {Promise<string>} - Data URL or the image's URL
+ */
+async function toDataUrl(url, baseUrl = '') {
+	if (!url || url.startsWith('data:')) return url;
+
+	try {
+		const response = await fetch(url);
+		if (!response.ok) throw new Error(`HTTP ${response.status}`);
+		const blob = await response.blob();
+
+		return await new Promise((resolve, reject) => {
+			const reader = new FileReader();
+			reader.onload = () => resolve(reader.result);
+			reader.onerror = () => reject(reader.error);
+			reader.readAsDataURL(blob);
+		});
+	} catch (error) {
+		console.warn('Could not inline image, linking instead:', url, error);
+		return baseUrl ? new URL(url, baseUrl).href : url;
+	}
+}
+
+/**
+ * Inline every image the chronicle shows, each URL fetched once
+ * @returns {Promise<Map<string, string>>} - Image URL to data URL (or linked URL)
+ */
+async function inlineImages(chronicle, baseUrl) {
+	const urls = [
+		chronicle.imageUrl,
+		...chronicle.setup.map((entry) => entry.imageUrl),
+		...chronicle.cycles.flatMap((cycle) => [
+			...cycle.entries.map((entry) => entry.imageUrl),
+			cycle.timeGap?.imageUrl
+		]),
+		chronicle.finalImageUrl
+	].filter(Boolean);
+
+	const unique = [...new Set(urls)];
+	const sources = await Promise.all(unique.map((url) => toDataUrl(url, baseUrl)));
+	return new Map(unique.map((url, index) => [url, sources[index]]));
+}
+
+/**
+ * Render the chronicle as a standalone HTML page with inlined images
+ * @param {Object} state - Current game state
+ * @param {string} [baseUrl] - Origin to resolve app-relative image URLs against
+ * @returns {Promise<string>} - HTML document
+ */
+export async function renderChronicleHtml(state, baseUrl = '') {
+	const chronicle = buildChronicle(state);
+	const images = await inlineImages(chronicle, baseUrl);
+	const image = (url, alt, className = 'entry-image') =>
+		url && images.get(url)
+			? `<img class="${className}" src="${escapeHtml(images.get(url))}" alt="${escapeHtml(alt)}" />`
+			: '';
+	const sections = [];
+
+	if (chronicle.setup.length > 0) {
+		sections.push('<h2>Establishing the Place</h2>');
+		for (const entry of chronicle.setup) {
+			sections.push(`<section class="entry">
+<h3>${escapeHtml(formatCard(entry.card))}</h3>
+<p class="question">${escapeHtml(entry.question)}</p>
+<blockquote>${paragraphs(entry.answer)}</blockquote>
+${image(entry.imageUrl, formatCard(entry.card))}
+</section>`);
+		}
+	}
+
+	for (const cycle of chronicle.cycles) {
+		sections.push(`<h2>Cycle ${cycle.number}</h2>`);
+
+		for (const entry of cycle.entries) {
+			const heading =
+				entry.type === 'focused'
+					? `${formatCard(entry.card)}: ${entry.situation}`
+					: formatCard(entry.card);
+			const question =
+				entry.type === 'focused' ? '' : `<p class="question">${escapeHtml(entry.question)}</p>`;
+			const player = entry.player ? `<p class="player">${escapeHtml(entry.player)}</p>` : '';
+			sections.push(`<section class="entry">
+<h3>${escapeHtml(heading)}</h3>
+${question}
+${player}
+<blockquote>${paragraphs(entry.answer)}</blockquote>
+${image(entry.imageUrl, heading)}
+</section>`);
+		}
+
+		if (cycle.timeGap) {
+			const gapAnswers = cycle.timeGap.answers
+				.map(
+					(gapAnswer) => `<p class="question">${escapeHtml(gapAnswer.question)}</p>
+<blockquote>${paragraphs(gapAnswer.answer)}</blockquote>`
+				)
+				.join('\n');
+			sections.push(`<section class="entry time-gap">
+<h3>Time Gap: ${escapeHtml(formatTimeGap(cycle.timeGap))}</h3>
+${gapAnswers}
+${image(cycle.timeGap.imageUrl, 'Time gap')}
+</section>`);
+		}
+	}
+
+	if (chronicle.finalAnswer) {
+		sections.push(`<h2>Tomorrow</h2>
+<section class="entry">
+<p class="question">${escapeHtml(FINAL_QUESTION)}</p>
+<blockquote>${paragraphs(chronicle.finalAnswer)}</blockquote>
+${image(chronicle.finalImageUrl, 'Tomorrow')}
+</section>`);
+	}
+
+	return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>The Ground Itself: ${escapeHtml(chronicle.title)}</title>
+<style>
+body { font-family: Georgia, serif; max-width: 760px; margin: 2rem auto; padding: 0 1rem; color: #2d3748; line-height: 1.6; }
+h1 { font-size: 2rem; margin-bottom: 0.25rem; }
+h2 { border-bottom: 2px solid #e2e8f0; padding-bottom: 0.25rem; margin-top: 2.5rem; }
+h3 { margin-bottom: 0.25rem; }
+.meta { color: #718096; font-style: italic; }
+.hero { width: 100%; border-radius: 8px; margin: 1rem 0; }
+.entry-image { width: 100%; border-radius: 6px; margin: 0 0 1rem; }
+.question { font-weight: bold; margin-bottom: 0.25rem; }
+.player { color: #718096; font-style: italic; margin: 0 0 0.25rem; }
+blockquote { margin: 0 0 1rem; padding-left: 1rem; border-left: 4px solid #cbd5e0; }
+.time-gap { background: #fffbf0; border-left: 4px solid #d69e2e; padding: 0.5rem 1rem; border-radius: 4px; }
+footer { margin-top: 3rem; color: #718096; font-size: 0.9rem; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(chronicle.title)}</h1>
+<p class="meta">A chronicle of The Ground Itself${chronicle.timelineUnit ? `, measured in ${escapeHtml(chronicle.timelineUnit)}` : ''}.</p>
+${chronicle.timeTravelled ? `<p class="meta">${escapeHtml(chronicle.timeTravelled)}</p>` : ''}
+${chronicle.players.length > 0 ? `<p class="meta">Told by ${escapeHtml(chronicle.players.map((player) => player.name).join(', '))}.</p>` : ''}
+${image(chronicle.imageUrl, 'Our place', 'hero')}
+${sections.join('\n')}
+<footer><em>The Ground Itself</em> by Everest Pipkin${chronicle.seed ? ` · Game seed: <code>${escapeHtml(chronicle.seed)}</code>` : ''}${chronicle.deckPack ? ` · Deck pack: ${escapeHtml(chronicle.deckPack)}` : ''}</footer>
+</body>
+</html>
+`;
+}
+
+function slugify(text) {
+	return (
+		text
+			.toLowerCase()
+			.replace(/[^a-z0-9]+/g, '-')
+			.replace(/^-+|-+$/g, '')
+			.slice(0, 40) || 'place'
+	);
+}
+
+/**
+ * Export the chronicle and trigger a browser download
+ * @param {Object} state - Current game state
+ * @param {'markdown'|'html'} format - Export format
+ * @returns {Promise<boolean>} - Success/failure
+ */
+export async function downloadChronicle(state, format) {
+	try {
+		const isHtml = format === 'html';
+		const baseUrl = window.location.origin;
+		const content = isHtml
+			? await renderChronicleHtml(state, baseUrl)
+			: renderChronicleMarkdown(state, baseUrl);
+		const blob = new Blob([content], { type: isHtml ? 'text/html' : 'text/markdown' });
+		const url = URL.createObjectURL(blob);
+
+		const link = document.createElement('a');
+		link.href = url;
+		link.download = `${slugify(state.settingDescription || 'place')}-chronicle.${isHtml ? 'html' : 'md'}`;
+		document.body.appendChild(link);
+		link.click();
+		link.remove();
+		URL.revokeObjectURL(url);
+
+		return true;
+	} catch (error) {
+		console.error('Failed to export chronicle:', error);
+		return false;
+	}
+}
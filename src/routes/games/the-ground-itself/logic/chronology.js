@@ -0,0 +1,74 @@
+// src/routes/games/the-ground-itself/logic/chronology.js
+
+/**
+ * STORY CHRONOLOGY
+ *
+ * Each cycle is an era of the place. The game starts at time 0 and every
+ * time gap moves the next era forward or backward by its roll, measured in
+ * the timeline unit, so after a backward jump the story is told out of
+ * order. buildChronology() puts the eras back on a single time axis for the
+ * story timeline view. Read straight from gameState.timeGaps and
+ * gameState.history - nothing extra is stored. Pure functions only.
+ *
+ * Which era an event belongs to:
+ * - setup events, turns and tens: the cycle they were played in
+ * - a time gap: the era it opened, since its answers and image describe
+ *   the place after the jump
+ */
+
+import { formatTimeAmount } from './timeGaps.js';
+
+/**
+ * @param {Object} state - Game state
+ * @returns {{unit: string, min: number, max: number, eras: Array<{cycle: number, time: number, isFlashback: boolean, gap: Object|null, events: Array, imageUrl: string|null}>}}
+ */
+export function buildChronology(state) {
+	const timeGaps = [...(state.timeGaps || [])].sort((a, b) => a.tenNumber - b.tenNumber);
+	const history = state.history || [];
+	const eraCount = Math.max(state.currentCycle || 1, timeGaps.length + 1);
+
+	const eras = [];
+	let time = 0;
+	let furthest = 0;
+	for (let cycle = 1; cycle <= eraCount; cycle++) {
+		const gap = cycle > 1 ? timeGaps[cycle - 2] || null : null;
+		if (gap?.amount != null) {
+			time += gap.direction === 'backward' ? -Number(gap.amount) : Number(gap.amount);
+		}
+
+		const events = history.filter((event) => getEventEra(event) === cycle);
+		const imageUrl = events.findLast((event) => event.imageUrl)?.imageUrl || null;
+
+		eras.push({ cycle, time, isFlashback: time < furthest, gap, events, imageUrl });
+		furthest = Math.max(furthest, time);
+	}
+
+	const times = eras.map((era) => era.time);
+	return {
+		unit: state.timelineUnit || 'units of time',
+		min: Math.min(...times),
+		max: Math.max(...times),
+		eras
+	};
+}
+
+/**
+ * The era (cycle number) an event belongs to
+ * @param {Object} event - History event
+ * @returns {number}
+ */
+function getEventEra(event) {
+	const cycle = event.cycle || 1;
+	return event.type === 'timeGap' ? cycle + 1 : cycle;
+}
+
+/**
+ * An era's place on the axis relative to where the story began
+ * @param {number} time - Era time from buildChronology
+ * @param {string} unit - Timeline unit
+ * @returns {string} - e.g. "The beginning", "5 centuries later", "3 centuries earlier"
+ */
+export function formatEraTime(time, unit) {
+	if (time === 0) return 'The beginning';
+	return `${formatTimeAmount(Math.abs(time), unit)} ${time > 0 ? 'later' : 'earlier'}`;
+}
@@ -0,0 +1,187 @@
+// src/routes/games/the-ground-itself/logic/coPlayer.js
+
+/**
+ * AI CO-PLAYER
+ *
+ * An optional seat in the roster ({ ..., isAi: true }) whose turns are
+ * drafted by a text model instead of typed in. The table always sees the
+ * draft first and can accept, edit, regenerate or veto it - nothing here
+ * changes the game. A turn request looks like one of:
+ *
+ *   { kind: 'card', question, situations: [{ name, description }] }
+ *   { kind: 'tenCard', questions: [string] }
+ *   { kind: 'timeGap', questions: [string], amount, unit, direction }
+ *
+ * plus the shared context { settingDescription, timelineUnit, events, codex,
+ * seed, attempt }, and the matching draft is:
+ *
+ *   card:    { choice: 'answer'|'situation', situation: string|null, answer }
+ *   tenCard: { question, answer }
+ *   timeGap: { answers: [string] }
+ *
+ * draftLocalTurn() is the deterministic offline stand-in - the same seed,
+ * story and attempt always give the same draft. A text model
+ * (server/textProviders.js) can draft better ones in the same shape.
+ * Pure functions only.
+ */
+
+import { getRng } from './random.js';
+
+export const CO_PLAYER_TURN_KINDS = ['card', 'tenCard', 'timeGap'];
+
+export const MAX_DRAFT_LENGTH = 600;
+
+// How often the offline stand-in plays a focused situation when it may
+const SITUATION_CHANCE = 0.25;
+const MAX_ECHO_LENGTH = 70;
+
+const ANSWER_PATTERNS = [
+	'It comes back to {anchor}. Ever since {echo}, it is the first thing anyone here mentions.',
+	'Look at {anchor}. People still remember {echo}, and it shows in how they treat the place.',
+	'It starts small, somewhere near {anchor}. After {echo}, nobody expected it, but here it is.',
+	'Ask anyone about {anchor} and they will tell you about {echo} - then about this.'
+];
+
+const SITUATION_PATTERNS = [
+	'{situation}, around {anchor}. It carries the memory of {echo}.',
+	'{situation}: it happens at {anchor}, and everyone present thinks of {echo}.'
+];
+
+const TIME_GAP_PATTERNS = [
+	'After {amount}, {anchor} is {change}. Only the oldest stories still mention {echo}.',
+	'{amount} on, {anchor} is {change}, though traces of {echo} remain if you know where to look.',
+	'Across {amount}, {anchor} has become {change}. Nobody living remembers {echo}.'
+];
+
+const CHANGES = [
+	'overgrown',
+	'rebuilt twice over',
+	'half-buried',
+	'busier than ever',
+	'almost silent',
+	'claimed by newcomers',
+	'weathered smooth'
+];
+
+function truncate(text, max) {
+	return text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text;
+}
+
+function pick(rng, list) {
+	return list[Math.floor(rng() * list.length)];
+}
+
+function fill(pattern, values) {
+	const text = pattern.replace(/\{(\w+)\}/g, (_, name) => values[name] ?? '');
+	return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Something from the story to build a draft around: a codex entry, or the place itself
+ */
+function pickAnchor(rng, { codex = [], settingDescription = '' }) {
+	const named = codex.filter((entry) => entry.kind !== 'name').map((entry) => entry.name);
+	if (named.length > 0) return pick(rng, named);
+	const place = settingDescription.trim().replace(/[.!?]+$/, '');
+	return place ? `the ${truncate(place.replace(/^(?:a|an|the)\s+/i, ''), 40)}` : 'the place itself';
+}
+
+/**
+ * A short quote from an earlier answer, so drafts stay grounded in the story
+ */
+function pickEcho(rng, { events = [] }) {
+	const answers = events.filter((event) => event.answer).slice(-8);
+	if (answers.length === 0) return 'how it all began';
+	const sentence = pick(rng, answers)
+		.answer.trim()
+		.split(/(?<=[.!?])\s+/)[0];
+	const clause = truncate(sentence.replace(/[.!?]+$/, ''), MAX_ECHO_LENGTH);
+	return `"${clause}"`;
+}
+
+/**
+ * Deterministic draft for a turn request - no network needed
+ * @param {Object} request - Turn request (see above)
+ * @returns {Object} - Draft for request.kind
+ */
+export function draftLocalTurn(request) {
+	const rng = getRng(
+		request.seed || 'co-player',
+		`co-player:${request.kind}:${(request.events || []).length}:${request.attempt || 0}`
+	);
+	const values = () => ({ anchor: pickAnchor(rng, request), echo: pickEcho(rng, request) });
+
+	if (request.kind === 'tenCard') {
+		return {
+			question: pick(rng, request.questions),
+			answer: fill(pick(rng, ANSWER_PATTERNS), values())
+		};
+	}
+
+	if (request.kind === 'timeGap') {
+		const unit = request.amount === 1 ? request.unit.replace(/s$/, '') : request.unit;
+		const amount = `${request.amount} ${unit}`;
+		return {
+			answers: request.questions.map(() =>
+				fill(pick(rng, TIME_GAP_PATTERNS), { ...values(), amount, change: pick(rng, CHANGES) })
+			)
+		};
+	}
+
+	const situations = request.situations || [];
+	if (situations.length > 0 && rng() < SITUATION_CHANCE) {
+		const situation = pick(rng, situations);
+		return {
+			choice: 'situation',
+			situation: situation.name,
+			answer: fill(pick(rng, SITUATION_PATTERNS), { ...values(), situation: situation.name })
+		};
+	}
+	return { choice: 'answer', situation: null, answer: fill(pick(rng, ANSWER_PATTERNS), values()) };
+}
+
+function cleanText(text) {
+	return typeof text === 'string' ? truncate(text.trim(), MAX_DRAFT_LENGTH) : '';
+}
+
+/**
+ * Check and tidy a draft against the request it answers (used on model output)
+ * @param {Object} request - Turn request
+ * @param {unknown} draft - Draft from a model
+ * @returns {Object|null} - The cleaned draft, or null if it doesn't fit the request
+ */
+export function normalizeCoPlayerDraft(request, draft) {
+	if (!draft || typeof draft !== 'object') return null;
+
+	if (request.kind === 'tenCard') {
+		const answer = cleanText(draft.answer);
+		if (!request.questions.includes(draft.question) || !answer) return null;
+		return { question: draft.question, answer };
+	}
+
+	if (request.kind === 'timeGap') {
+		if (!Array.isArray(draft.answers) || draft.answers.length !== request.questions.length) {
+			return null;
+		}
+		const answers = draft.answers.map(cleanText);
+		return answers.every(Boolean) ? { answers } : null;
+	}
+
+	const answer = cleanText(draft.answer);
+	if (!answer) return null;
+	if (draft.choice === 'situation') {
+		const situation = (request.situations || []).find((option) => option.name === draft.situation);
+		if (!situation) return null;
+		return { choice: 'situation', situation: situation.name, answer };
+	}
+	return { choice: 'answer', situation: null, answer };
+}
+
+/**
+ * The roster's AI seat, if it has one
+ * @param {Object} state - Game state
+ * @returns {Object|null}
+ */
+export function getCoPlayer(state) {
+	return (state.players || []).find((player) => player.isAi) || null;
+}
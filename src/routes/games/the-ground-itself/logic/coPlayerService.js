@@ -0,0 +1,97 @@
+// src/routes/games/the-ground-itself/logic/coPlayerService.js
+
+/**
+ * CENTRALIZED AI CO-PLAYER SERVICE
+ *
+ * Drafts the AI seat's turns (see coPlayer.js) from the story so far.
+ * Drafts are only offered - the table accepts, edits, regenerates or
+ * vetoes them, and accepted turns go through gameActions.js like any other.
+ * DO NOT call the co-player API from components - always use this service.
+ *
+ * Drafts come from the server's configured text model
+ * (server/textProviders.js). If that fails, or there is no network, the
+ * offline stand-in in coPlayer.js drafts instead.
+ */
+
+import { gameState } from '../stores.js';
+import { compactHistory } from './storySummary.js';
+import { draftLocalTurn } from './coPlayer.js';
+import { getDeckTables } from './deckPacks.js';
+import { resolveCardQuestion } from './gameActions.js';
+import { allowsFocusedSituations } from './variants.js';
+import { getAvailableTenCardQuestions } from './timeGaps.js';
+
+/**
+ * Everything the co-player is asked for a turn of this kind
+ */
+function buildTurn(state, kind, { attempt, timeGap }) {
+	const tables = getDeckTables(state);
+	const turn = {
+		kind,
+		settingDescription: state.settingDescription,
+		timelineUnit: state.timelineUnit,
+		events: compactHistory(state.history),
+		codex: (state.codex || []).map(({ kind, name, description }) => ({ kind, name, description })),
+		lines: state.safety?.lines || [],
+		veils: state.safety?.veils || [],
+		seed: state.seed,
+		attempt
+	};
+
+	if (kind === 'card') {
+		return {
+			...turn,
+			question: resolveCardQuestion(state)?.question || '',
+			situations: allowsFocusedSituations(state)
+				? tables.focusedSituations.map(({ name, description }) => ({ name, description }))
+				: []
+		};
+	}
+	if (kind === 'tenCard') {
+		return { ...turn, questions: getAvailableTenCardQuestions(state) };
+	}
+	return {
+		...turn,
+		questions: tables.timeGapQuestions,
+		amount: timeGap.timeAmount,
+		unit: timeGap.timeUnit,
+		direction: timeGap.direction
+	};
+}
+
+/**
+ * Draft the co-player's part of the current turn
+ * @param {'card'|'tenCard'|'timeGap'} kind - A card to answer, a ten-card prompt, or the time gap questions
+ * @param {Object} [options]
+ * @param {number} [options.attempt] - Bump to regenerate - each attempt drafts something new
+ * @param {{timeAmount: number, timeUnit: string, direction: string}} [options.timeGap] - The jump, for 'timeGap'
+ * @returns {Promise<{draft: Object, source: string, error?: string}>} - Draft shapes are in
+ *   coPlayer.js; `error` says why the server couldn't draft when the offline stand-in did instead
+ */
+export async function draftCoPlayerTurn(kind, { attempt = 0, timeGap } = {}) {
+	let currentState;
+	gameState.subscribe((state) => {
+		currentState = state;
+	})();
+
+	const turn = buildTurn(currentState, kind, { attempt, timeGap });
+
+	try {
+		const response = await fetch('/games/the-ground-itself/api/co-player', {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json'
+			},
+			body: JSON.stringify({ turn })
+		});
+
+		const result = await response.json();
+		if (!result.success) {
+			throw new Error(result.error || `HTTP ${response.status}`);
+		}
+		return { draft: result.draft, source: result.provider };
+	} catch (error) {
+		console.warn('Co-player unavailable, drafting offline:', error.message);
+		return { draft: draftLocalTurn(turn), source: 'local', error: error.message };
+	}
+}
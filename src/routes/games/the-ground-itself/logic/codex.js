@@ -0,0 +1,300 @@
+// src/routes/games/the-ground-itself/logic/codex.js
+
+/**
+ * PLACE CODEX
+ *
+ * The people, landmarks, groups, objects and names that keep coming back
+ * in a game's answers, kept in gameState.codex so images draw them the
+ * same way every time. An entry looks like:
+ *
+ *   { id, kind, name, description, cycle, eventId }
+ *
+ * - kind:    one of CODEX_KINDS
+ * - cycle:   the cycle it first appeared in; for 'name' entries, when the
+ *            place started being called that
+ * - eventId: the answer it was tagged from, or null
+ *
+ * Players tag entries themselves; suggestLocalEntities() offers candidates
+ * without any network access, and a text model (server/textProviders.js)
+ * can offer better ones in the same shape. Pure functions only.
+ */
+
+export const CODEX_KINDS = {
+	person: 'People',
+	landmark: 'Landmarks',
+	group: 'Groups',
+	object: 'Objects',
+	name: 'Names of the place'
+};
+
+export const MAX_NAME_LENGTH = 60;
+export const MAX_DESCRIPTION_LENGTH = 280;
+
+const MAX_SUGGESTIONS = 8;
+const MAX_PROMPT_ENTRIES = 12;
+const MAX_PROMPT_DESCRIPTION_LENGTH = 120;
+
+// Capitalised words that start sentences or stand for nobody in particular
+const COMMON_WORDS = new Set([
+	'A',
+	'An',
+	'And',
+	'As',
+	'At',
+	'But',
+	'By',
+	'Every',
+	'For',
+	'From',
+	'He',
+	'Her',
+	'His',
+	'I',
+	'In',
+	'It',
+	'Its',
+	'No',
+	'Now',
+	'Of',
+	'On',
+	'One',
+	'Our',
+	'She',
+	'Some',
+	'The',
+	'Their',
+	'Then',
+	'There',
+	'These',
+	'They',
+	'This',
+	'Those',
+	'We',
+	'When',
+	'Where',
+	'While',
+	'With',
+	'You'
+]);
+
+// Capitalised runs, allowing "of"/"the" inside: "Tower of the Nine Bells"
+const PROPER_NOUN_PATTERN = /[A-Z][\w'’-]+(?:\s+(?:(?:of|the|de|la|von)\s+)*[A-Z][\w'’-]+)*/g;
+
+const KIND_HINTS = [
+	{ kind: 'name', pattern: /place (?:named|called)|same name|what is it called now/i },
+	{
+		kind: 'landmark',
+		pattern: /monument|marker|statue|building|street|corner|overlook|structure/i
+	},
+	{ kind: 'group', pattern: /group|faction|community|family|families|organi[sz]ation|people/i },
+	{ kind: 'object', pattern: /object|artifact|artefact|item|tool|relic/i }
+];
+
+// Last words that say what a name is, whatever the question was
+const NAME_ENDINGS = [
+	{ kind: 'group', pattern: /\b(?:Guild|Order|Council|Clan|Company|Society|Tribe|Folk|Family)$/ },
+	{
+		kind: 'landmark',
+		pattern: /\b(?:Tower|Bridge|Hall|Gate|Well|Street|Square|Temple|Church|Market|Wall|Stone|Tree)$/
+	}
+];
+
+function truncate(text, max) {
+	return text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text;
+}
+
+function normalizeName(name) {
+	return (name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Clean up an entry from the codex panel or a suggestion
+ * @param {Object} entry - { kind, name, description, cycle, eventId }
+ * @returns {{kind: string, name: string, description: string, cycle: number, eventId: string|null}}
+ */
+export function normalizeCodexEntry(entry = {}) {
+	return {
+		kind: entry.kind in CODEX_KINDS ? entry.kind : 'person',
+		name: truncate((entry.name || '').trim().replace(/\s+/g, ' '), MAX_NAME_LENGTH),
+		description: truncate((entry.description || '').trim(), MAX_DESCRIPTION_LENGTH),
+		cycle: Number(entry.cycle) > 0 ? Number(entry.cycle) : 1,
+		eventId: entry.eventId || null
+	};
+}
+
+/**
+ * Check an entry before it is added to (or changed in) the codex
+ * @param {Array} codex - gameState.codex
+ * @param {Object} entry - Normalized entry
+ * @param {string} [ignoreId] - The entry being edited, so it doesn't clash with itself
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateCodexEntry(codex, entry, ignoreId = null) {
+	const errors = [];
+	if (!entry.name) {
+		errors.push('Give the entry a name.');
+	} else if (
+		codex.some(
+			(other) =>
+				other.id !== ignoreId &&
+				other.kind === entry.kind &&
+				normalizeName(other.name) === normalizeName(entry.name)
+		)
+	) {
+		errors.push(`${entry.name} is already in the codex.`);
+	}
+	return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Whether a codex already has an entry with this name, of any kind
+ * @param {Array} codex - gameState.codex
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function hasCodexEntry(codex = [], name) {
+	return codex.some((entry) => normalizeName(entry.name) === normalizeName(name));
+}
+
+/**
+ * Codex entries grouped by kind, in CODEX_KINDS order; names of the place
+ * are ordered by when they came into use
+ * @param {Array} codex - gameState.codex
+ * @returns {Array<{kind: string, label: string, entries: Array}>} - Only kinds with entries
+ */
+export function groupCodexEntries(codex = []) {
+	return Object.entries(CODEX_KINDS)
+		.map(([kind, label]) => ({
+			kind,
+			label,
+			entries: codex
+				.filter((entry) => entry.kind === kind)
+				.sort((a, b) => (kind === 'name' ? a.cycle - b.cycle : a.name.localeCompare(b.name)))
+		}))
+		.filter((group) => group.entries.length > 0);
+}
+
+/**
+ * History events whose answers mention an entry by name
+ * @param {Array} history - gameState.history
+ * @param {Object} entry - Codex entry
+ * @returns {Array} - Matching events, oldest first
+ */
+export function findCodexMentions(history = [], entry) {
+	const name = normalizeName(entry.name);
+	if (!name) return [];
+	return history.filter(
+		(event) => event.id === entry.eventId || normalizeName(event.answer).includes(name)
+	);
+}
+
+// ===== SUGGESTIONS =====
+
+/**
+ * Guess a kind from the name itself, then from the question it answers.
+ * Only the first name in an answer about the place's name is taken to be it.
+ */
+function guessKind(name, question = '', isFirst) {
+	const ending = NAME_ENDINGS.find((hint) => hint.pattern.test(name));
+	if (ending) return ending.kind;
+	const hinted = KIND_HINTS.find((hint) => hint.pattern.test(question))?.kind;
+	if (hinted === 'name' && !isFirst) return 'person';
+	return hinted || 'person';
+}
+
+/**
+ * The sentence of an answer that mentions a name, for a suggested description
+ */
+function sentenceMentioning(answer, name) {
+	const sentences = answer.replace(/\s+/g, ' ').split(/(?<=[.!?])\s+/);
+	const sentence = sentences.find((candidate) => candidate.includes(name)) || sentences[0];
+	return truncate(sentence.trim(), MAX_DESCRIPTION_LENGTH);
+}
+
+/**
+ * Proper nouns in an answer, skipping the capitalised first word of a sentence
+ * unless it is clearly a name (used again later in the same answer)
+ */
+function findProperNouns(answer) {
+	const names = [];
+	for (const match of answer.matchAll(PROPER_NOUN_PATTERN)) {
+		const words = match[0].split(/\s+/);
+		const leading = words.length;
+		while (words.length > 0 && COMMON_WORDS.has(words[0])) words.shift();
+		if (words.length === 0) continue;
+
+		const name = words.join(' ');
+		const before = answer.slice(0, match.index).trimEnd();
+		const startsSentence = words.length === leading && (before === '' || /[.!?:"“]$/.test(before));
+		const usedAgain = answer.indexOf(name, match.index + match[0].length) !== -1;
+		if (startsSentence && words.length === 1 && !usedAgain) continue;
+
+		names.push(name);
+	}
+	return names;
+}
+
+/**
+ * Candidate entries found in the answers themselves - no network needed.
+ * Looks for proper nouns, and takes the kind from the question they answer.
+ * @param {Array} events - Events from compactHistory() or gameState.history
+ * @param {Array} codex - gameState.codex; names already in it are skipped
+ * @returns {Array<{kind: string, name: string, description: string, cycle: number, eventId: string}>}
+ */
+export function suggestLocalEntities(events = [], codex = []) {
+	const suggestions = [];
+	for (const event of events) {
+		if (!event.answer) continue;
+		findProperNouns(event.answer).forEach((name, index) => {
+			if (hasCodexEntry(codex, name) || hasCodexEntry(suggestions, name)) return;
+			suggestions.push({
+				kind: guessKind(name, event.question, index === 0),
+				name,
+				description: sentenceMentioning(event.answer, name),
+				cycle: event.cycle || 1,
+				eventId: event.id
+			});
+		});
+	}
+	return suggestions.slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * Check that a value is a list of suggestions (used on model output)
+ * @param {unknown} suggestions
+ * @returns {boolean}
+ */
+export function isValidSuggestionList(suggestions) {
+	return (
+		Array.isArray(suggestions) &&
+		suggestions.every(
+			(entry) => typeof entry?.name === 'string' && typeof (entry.description ?? '') === 'string'
+		)
+	);
+}
+
+// ===== PROMPTS =====
+
+/**
+ * Render the codex as prompt text. Only the place's latest name is used -
+ * earlier ones are history, not what the image should show.
+ * @param {Array} codex - gameState.codex
+ * @returns {string} - One line per entry, or '' for an empty codex
+ */
+export function formatCodexForPrompt(codex = []) {
+	const names = codex.filter((entry) => entry.kind === 'name').sort((a, b) => a.cycle - b.cycle);
+	const lines = [];
+
+	const currentName = names[names.length - 1];
+	if (currentName) {
+		lines.push(`The place is called ${currentName.name}.`);
+	}
+
+	for (const entry of codex) {
+		if (entry.kind === 'name' || lines.length >= MAX_PROMPT_ENTRIES) continue;
+		const description = truncate(entry.description, MAX_PROMPT_DESCRIPTION_LENGTH);
+		lines.push(`- ${entry.name} (${entry.kind})${description ? `: ${description}` : ''}`);
+	}
+
+	return lines.join('\n');
+}
@@ -0,0 +1,55 @@
+// src/routes/games/the-ground-itself/logic/codexService.js
+
+/**
+ * CENTRALIZED CODEX SUGGESTION SERVICE
+ *
+ * Offers candidate entries for the place codex (see codex.js) from the
+ * answers given so far. Suggestions are only offered - players choose
+ * which to keep through the codex actions in gameActions.js.
+ * DO NOT call the codex API from components - always use this service.
+ *
+ * Suggestions come from the server's configured text model
+ * (server/textProviders.js). If that fails, or there is no network, the
+ * local suggester in codex.js is used instead.
+ */
+
+import { gameState } from '../stores.js';
+import { compactHistory } from './storySummary.js';
+import { suggestLocalEntities } from './codex.js';
+
+/**
+ * Suggest codex entries for names in the answers that aren't in the codex yet
+ * @returns {Promise<{suggestions: Array<{kind: string, name: string, description: string, cycle: number, eventId: string|null}>, source: string}>}
+ */
+export async function suggestCodexEntries() {
+	let currentState;
+	gameState.subscribe((state) => {
+		currentState = state;
+	})();
+
+	const { history, codex, settingDescription } = currentState;
+	const events = compactHistory(history);
+
+	try {
+		const response = await fetch('/games/the-ground-itself/api/codex', {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json'
+			},
+			body: JSON.stringify({
+				settingDescription,
+				events,
+				codex: codex.map(({ kind, name }) => ({ kind, name }))
+			})
+		});
+
+		const result = await response.json();
+		if (!result.success) {
+			throw new Error(result.error);
+		}
+		return { suggestions: result.suggestions, source: result.provider };
+	} catch (error) {
+		console.warn('Codex suggestions unavailable, suggesting locally:', error.message);
+		return { suggestions: suggestLocalEntities(events, codex), source: 'local' };
+	}
+}
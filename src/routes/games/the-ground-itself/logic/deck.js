@@ -1,6 +1,9 @@
 // src/routes/games/the-ground-itself/logic/deck.js
 
-export function createFaceCardDeck() {
+/**
+ * @param {Function} rng - Random generator (see random.js); defaults to Math.random
+ */
+export function createFaceCardDeck(rng = Math.random) {
 	const suits = ['clubs', 'hearts', 'diamonds', 'spades'];
 	const faces = ['jack', 'queen', 'king'];
 	const deck = [];
@@ -11,27 +14,42 @@ export function createFaceCardDeck() {
 		}
 	}
 
-	return shuffleDeck(deck);
+	return shuffleDeck(deck, rng);
 }
 
-export function createNumericalDeck() {
+/**
+ * @param {Function} rng - Random generator (see random.js); defaults to Math.random
+ * @param {Object} options - Game variant options (see variants.js getDeckOptions)
+ * @param {string[]} options.excludedRanks - Numbered ranks to leave out (tens are always kept)
+ * @param {number} options.copies - How many decks to shuffle together
+ */
+export function createNumericalDeck(rng = Math.random, { excludedRanks = [], copies = 1 } = {}) {
 	const suits = ['clubs', 'hearts', 'diamonds', 'spades'];
-	const numbers = ['ace', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'];
+	const numbers = ['ace', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'].filter(
+		(rank) => !excludedRanks.includes(rank)
+	);
 	const deck = [];
 
-	for (const suit of suits) {
-		for (const rank of numbers) {
-			deck.push({ suit, rank });
+	for (let copy = 0; copy < copies; copy++) {
+		for (const suit of suits) {
+			for (const rank of numbers) {
+				deck.push({ suit, rank });
+			}
 		}
 	}
 
-	return shuffleDeck(deck);
+	return shuffleDeck(deck, rng);
 }
 
-export function shuffleDeck(deck) {
+/**
+ * Fisher-Yates shuffle
+ * @param {Array} deck - Cards to shuffle (not modified)
+ * @param {Function} rng - Random generator (see random.js); defaults to Math.random
+ */
+export function shuffleDeck(deck, rng = Math.random) {
 	const shuffled = [...deck];
 	for (let i = shuffled.length - 1; i > 0; i--) {
-		const j = Math.floor(Math.random() * (i + 1));
+		const j = Math.floor(rng() * (i + 1));
 		[shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
 	}
 	return shuffled;
@@ -0,0 +1,391 @@
+// src/routes/games/the-ground-itself/logic/deckPacks.js
+
+/**
+ * DECK PACK SERVICE
+ *
+ * Deck packs replace the card prompts from data.js for themed games
+ * (post-industrial towns, ocean floors, space stations...).
+ * DO NOT read the question tables from data.js in components - use
+ * getDeckTables(state) so the game's pack is respected.
+ *
+ * Pack format (JSON) - every table is optional, anything left out comes
+ * from the base game:
+ * {
+ *   "name": "Ocean Floor",
+ *   "description": "Optional notes for the table",
+ *   "tables": {
+ *     "faceCardQuestions": { "clubs": { "jack": "...", "queen": "...", "king": "..." }, ...all four suits },
+ *     "numericalCardQuestions": { "ace": ["1st", "2nd", "3rd", "4th"], ...through "nine" },
+ *     "tenCardQuestions": ["...", ...at least four],
+ *     "timeGapQuestions": ["...", ...],
+ *     "focusedSituations": [{ "name": "...", "description": "..." }, ...]
+ *   }
+ * }
+ *
+ * Custom packs live in localStorage under their own key, apart from the
+ * save slots. startGame() copies the chosen pack into gameState.deckPack,
+ * so a saved or shared game keeps its prompts even if the pack is later
+ * edited or deleted.
+ */
+
+import { browser } from '$app/environment';
+import { deckPacks } from '../stores.js';
+import {
+	faceCardQuestions,
+	numericalCardQuestions,
+	tenCardQuestions,
+	timeGapQuestions,
+	focusedSituations
+} from '../data.js';
+
+const STORAGE_KEY = 'the-ground-itself:deck-packs';
+
+export const BASE_DECK_PACK_ID = 'base';
+
+const BASE_TABLES = {
+	faceCardQuestions,
+	numericalCardQuestions,
+	tenCardQuestions,
+	timeGapQuestions,
+	focusedSituations
+};
+
+export const DECK_TABLE_NAMES = Object.keys(BASE_TABLES);
+
+/**
+ * The rulebook's own prompts, offered alongside custom packs
+ */
+export const BASE_DECK_PACK = {
+	id: BASE_DECK_PACK_ID,
+	name: 'The Ground Itself',
+	description: 'The prompts from the rulebook.',
+	tables: BASE_TABLES,
+	builtIn: true
+};
+
+const SUITS = ['clubs', 'hearts', 'diamonds', 'spades'];
+const FACE_RANKS = ['jack', 'queen', 'king'];
+const NUMERICAL_RANKS = ['ace', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'];
+
+// One prompt per occurrence of a rank - the game asks the Nth one on the Nth draw
+const PROMPTS_PER_RANK = 4;
+// One ten closes each of the four cycles, and a ten prompt can't be picked twice
+const MIN_TEN_CARD_QUESTIONS = 4;
+
+// ===== RESOLVING TABLES =====
+
+function clone(value) {
+	return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Question tables for a game - its pack's tables over the base game's
+ * @param {Object} state - gameState value
+ * @returns {Object} - { faceCardQuestions, numericalCardQuestions, tenCardQuestions, timeGapQuestions, focusedSituations }
+ */
+export function getDeckTables(state) {
+	return { ...BASE_TABLES, ...(state?.deckPack?.tables || {}) };
+}
+
+// ===== VALIDATION =====
+
+function isPrompt(value) {
+	return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isPlainObject(value) {
+	return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+const TABLE_VALIDATORS = {
+	faceCardQuestions(table) {
+		if (!isPlainObject(table)) return ['Face card questions must be an object keyed by suit.'];
+		const errors = [];
+		for (const suit of SUITS) {
+			for (const rank of FACE_RANKS) {
+				if (!isPrompt(table[suit]?.[rank])) {
+					errors.push(`Face cards: the ${rank} of ${suit} needs a question.`);
+				}
+			}
+		}
+		return errors;
+	},
+
+	numericalCardQuestions(table) {
+		if (!isPlainObject(table)) return ['Numbered card questions must be an object keyed by rank.'];
+		const errors = [];
+		for (const rank of NUMERICAL_RANKS) {
+			const prompts = table[rank];
+			if (!Array.isArray(prompts) || prompts.length !== PROMPTS_PER_RANK) {
+				errors.push(
+					`Numbered cards: ${rank} needs exactly ${PROMPTS_PER_RANK} questions, one per draw.`
+				);
+			} else {
+				prompts.forEach((prompt, index) => {
+					if (!isPrompt(prompt)) {
+						errors.push(`Numbered cards: question ${index + 1} for ${rank} is empty.`);
+					}
+				});
+			}
+		}
+		return errors;
+	},
+
+	tenCardQuestions(table) {
+		if (!Array.isArray(table) || table.length < MIN_TEN_CARD_QUESTIONS) {
+			return [`Tens need at least ${MIN_TEN_CARD_QUESTIONS} questions, one for each cycle.`];
+		}
+		return table.some((prompt) => !isPrompt(prompt)) ? ['Tens: every question needs text.'] : [];
+	},
+
+	timeGapQuestions(table) {
+		if (!Array.isArray(table) || table.length === 0) {
+			return ['Time gaps need at least one question.'];
+		}
+		return table.some((prompt) => !isPrompt(prompt))
+			? ['Time gaps: every question needs text.']
+			: [];
+	},
+
+	focusedSituations(table) {
+		if (!Array.isArray(table) || table.length === 0) {
+			return ['There must be at least one focused situation.'];
+		}
+		const errors = [];
+		table.forEach((situation, index) => {
+			if (!isPrompt(situation?.name) || !isPrompt(situation?.description)) {
+				errors.push(`Focused situation ${index + 1} needs a name and a description.`);
+			}
+		});
+		return errors;
+	}
+};
+
+/**
+ * Check a pack against the shape the game indexes into
+ * @param {Object} pack - { name, description, tables }
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateDeckPack(pack) {
+	if (!isPlainObject(pack)) {
+		return { valid: false, errors: ['A deck pack must be a JSON object.'] };
+	}
+
+	const errors = [];
+	if (!isPrompt(pack.name)) {
+		errors.push('The pack needs a name.');
+	}
+
+	const tables = pack.tables ?? {};
+	if (!isPlainObject(tables)) {
+		errors.push('"tables" must be an object.');
+	} else {
+		for (const [tableName, table] of Object.entries(tables)) {
+			const validate = TABLE_VALIDATORS[tableName];
+			if (!validate) {
+				errors.push(
+					`Unknown table "${tableName}". Expected one of: ${DECK_TABLE_NAMES.join(', ')}.`
+				);
+			} else {
+				errors.push(...validate(table));
+			}
+		}
+	}
+
+	return { valid: errors.length === 0, errors };
+}
+
+// ===== STORAGE =====
+
+function readPacks() {
+	try {
+		const packs = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+		return Array.isArray(packs) ? packs : [];
+	} catch (error) {
+		console.error('Failed to read deck packs from storage:', error);
+		return [];
+	}
+}
+
+function writePacks(packs) {
+	try {
+		localStorage.setItem(STORAGE_KEY, JSON.stringify(packs));
+	} catch (error) {
+		console.error('Failed to write deck packs to storage:', error);
+	}
+	deckPacks.set(packs);
+}
+
+function createPackId() {
+	return `pack-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Only keep the tables that differ from the base game, so packs stay
+ * small and pick up any future fixes to the tables they don't change
+ */
+function stripBaseTables(tables) {
+	return Object.fromEntries(
+		Object.entries(tables).filter(
+			([tableName, table]) => JSON.stringify(table) !== JSON.stringify(BASE_TABLES[tableName])
+		)
+	);
+}
+
+/**
+ * Refresh the deckPacks store from storage
+ * @returns {Array} - Custom packs
+ */
+export function listDeckPacks() {
+	if (!browser) return [];
+	const packs = readPacks();
+	deckPacks.set(packs);
+	return packs;
+}
+
+/**
+ * Find a pack by id, including the built-in one
+ * @param {string} id - Pack id
+ * @returns {Object|null}
+ */
+export function getDeckPack(id) {
+	if (!id || id === BASE_DECK_PACK_ID) return BASE_DECK_PACK;
+	return readPacks().find((pack) => pack.id === id) || null;
+}
+
+/**
+ * A copy of a pack with every table filled in, for the editor
+ * @param {Object} pack - Pack to edit (custom or built-in)
+ * @returns {Object} - { id, name, description, tables }
+ */
+export function createEditableDeckPack(pack = BASE_DECK_PACK) {
+	return {
+		id: pack.builtIn ? null : pack.id,
+		name: pack.name,
+		description: pack.description || '',
+		tables: clone(getDeckTables({ deckPack: pack }))
+	};
+}
+
+/**
+ * Create or update a custom pack
+ * @param {Object} pack - { id?, name, description, tables }
+ * @returns {{ success: boolean, pack?: Object, errors: string[] }}
+ */
+export function saveDeckPack(pack) {
+	const { valid, errors } = validateDeckPack(pack);
+	if (!valid) return { success: false, errors };
+
+	const packs = readPacks();
+	const saved = {
+		id: pack.id || createPackId(),
+		name: pack.name.trim(),
+		description: (pack.description || '').trim(),
+		tables: stripBaseTables(pack.tables || {}),
+		updatedAt: Date.now()
+	};
+
+	const index = packs.findIndex((existing) => existing.id === saved.id);
+	if (index === -1) {
+		packs.push(saved);
+	} else {
+		packs[index] = saved;
+	}
+	writePacks(packs);
+	return { success: true, pack: saved, errors: [] };
+}
+
+/**
+ * Copy any pack (including the built-in one) into a new custom pack
+ * @param {string} id - Pack to copy
+ * @returns {Object|null} - The new pack
+ */
+export function duplicateDeckPack(id) {
+	const source = getDeckPack(id);
+	if (!source) return null;
+	const result = saveDeckPack({
+		name: `${source.name} (copy)`,
+		description: source.description,
+		tables: clone(source.tables)
+	});
+	return result.success ? result.pack : null;
+}
+
+/**
+ * Delete a custom pack. Games already started with it keep their copy.
+ * @param {string} id - Pack id
+ */
+export function deleteDeckPack(id) {
+	writePacks(readPacks().filter((pack) => pack.id !== id));
+}
+
+// ===== IMPORT / EXPORT =====
+
+/**
+ * Serialize a pack to the JSON format above
+ * @param {Object} pack - Pack to export
+ * @returns {string}
+ */
+export function exportDeckPack(pack) {
+	const { name, description, tables } = pack;
+	return JSON.stringify({ name, description, tables }, null, 2);
+}
+
+/**
+ * Export a pack and trigger a browser download
+ * @param {Object} pack - Pack to export
+ * @returns {boolean} - Success/failure
+ */
+export function downloadDeckPack(pack) {
+	try {
+		const blob = new Blob([exportDeckPack(pack)], { type: 'application/json' });
+		const url = URL.createObjectURL(blob);
+		const slug = pack.name
+			.toLowerCase()
+			.replace(/[^a-z0-9]+/g, '-')
+			.replace(/^-+|-+$/g, '');
+
+		const link = document.createElement('a');
+		link.href = url;
+		link.download = `${slug || 'deck'}-pack.json`;
+		document.body.appendChild(link);
+		link.click();
+		link.remove();
+		URL.revokeObjectURL(url);
+
+		return true;
+	} catch (error) {
+		console.error('Failed to export deck pack:', error);
+		return false;
+	}
+}
+
+/**
+ * Save a pack from JSON text as a new custom pack
+ * @param {string} text - Pack JSON
+ * @returns {{ success: boolean, pack?: Object, errors: string[] }}
+ */
+export function importDeckPack(text) {
+	let parsed;
+	try {
+		parsed = JSON.parse(text);
+	} catch (error) {
+		return { success: false, errors: [`This file isn't valid JSON: ${error.message}`] };
+	}
+	if (!isPlainObject(parsed)) {
+		return { success: false, errors: ['A deck pack must be a JSON object.'] };
+	}
+	// Imports always create a new pack rather than overwriting one
+	return saveDeckPack({ ...parsed, id: null });
+}
+
+/**
+ * The snapshot of a pack that a game carries in gameState.deckPack
+ * @param {string} id - Pack id
+ * @returns {Object|null} - { id, name, tables }, or null for the base game
+ */
+export function getDeckPackSnapshot(id) {
+	const pack = getDeckPack(id);
+	if (!pack || pack.builtIn) return null;
+	return { id: pack.id, name: pack.name, tables: clone(pack.tables) };
+}
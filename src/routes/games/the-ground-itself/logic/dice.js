@@ -1,7 +1,10 @@
 // src/routes/games/the-ground-itself/logic/dice.js
 
-export function rollD6() {
-	return Math.floor(Math.random() * 6) + 1;
+/**
+ * @param {Function} rng - Random generator (see random.js); defaults to Math.random
+ */
+export function rollD6(rng = Math.random) {
+	return Math.floor(rng() * 6) + 1;
 }
 
 export function getTimelineUnit(roll) {
@@ -66,9 +69,10 @@ export function getTimelineInfo(roll) {
 /**
  * Roll timeline with full information
  * Returns both the roll and complete timeline data
+ * @param {Function} rng - Random generator (see random.js); defaults to Math.random
  */
-export function rollTimelineWithInfo() {
-	const roll = rollD6();
+export function rollTimelineWithInfo(rng = Math.random) {
+	const roll = rollD6(rng);
 	const info = getTimelineInfo(roll);
 	
 	return {
@@ -15,34 +15,455 @@
  * IMPORTANT: Components should ONLY handle UI and call these actions.
  */
 
-import { gameState } from '../stores.js';
+import { gameState, undoState, imageBudget } from '../stores.js';
 import { rollD6, getTimelineUnit, rollTimelineWithInfo, getTimelineInfo } from './dice.js';
 import { createFaceCardDeck, createNumericalDeck, drawCard } from './deck.js';
-import { generateImage, generateImageWithContext, generateImageWithMultipleAnswers } from './imageService.js';
+import { getRng, createSeed, createGameId, normalizeSeed } from './random.js';
+import { cancelImageRequests, generateImage, generateImageWithContext, generateImageWithMultipleAnswers, generateTimeGapImage } from './imageService.js';
+import { getDeckTables, getDeckPackSnapshot } from './deckPacks.js';
+import { transition, canTransition, EVENTS, PhaseTransitionError } from './phaseMachine.js';
+import { normalizeVariant, validateVariant, getDeckOptions } from './variants.js';
+import { validatePromptTemplate } from './promptTemplates.js';
+import { normalizeCodexEntry, validateCodexEntry } from './codex.js';
+
+/**
+ * Read the current game state once
+ * @returns {Object} - Current game state
+ */
+function readState() {
+	let currentState;
+	gameState.subscribe(state => {
+		currentState = state;
+	})();
+	return currentState;
+}
+
+// ===== UNDO / REDO =====
+
+// How many turn boundaries can be rewound
+const MAX_UNDO_STEPS = 30;
+
+/**
+ * Snapshot the game at a turn boundary, before a main-play action changes it.
+ * Taking a new action clears the redo stack.
+ */
+function captureTurnBoundary() {
+	const currentState = readState();
+
+	undoState.update(({ past }) => ({
+		past: [...past, currentState].slice(-MAX_UNDO_STEPS),
+		future: []
+	}));
+}
+
+/**
+ * Restore a snapshot, keeping flags that describe what is happening right now
+ * rather than what the game looked like at that point. The codex is the
+ * players' notes on the place, not part of a turn, so it is kept too.
+ */
+function restoreSnapshot(snapshot, currentState) {
+	gameState.set({
+		...snapshot,
+		codex: currentState.codex,
+		isGeneratingImage: currentState.isGeneratingImage,
+		isDevelopmentMode: currentState.isDevelopmentMode
+	});
+}
+
+/**
+ * Whether undo/redo may run right now. Not during a time gap: its answers
+ * are submitted while the image generates, and rewinding under them would
+ * let the gap finish on a game that no longer has it.
+ * @param {Object} state - Game state
+ * @returns {boolean}
+ */
+export function canUndoTurn(state) {
+	return state.currentPhase !== 'timeGap';
+}
+
+/**
+ * Rewind to the previous turn boundary (deck, active card, rank counts,
+ * tens, cycle, phase, answers, history and image all come back)
+ * @returns {boolean} - Whether there was anything to undo
+ */
+export function undoLastTurn() {
+	const currentState = readState();
+	if (!canUndoTurn(currentState)) return false;
+
+	let snapshot = null;
+	undoState.update(({ past, future }) => {
+		if (past.length === 0) return { past, future };
+		snapshot = past[past.length - 1];
+		return { past: past.slice(0, -1), future: [...future, currentState] };
+	});
+
+	if (!snapshot) return false;
+	restoreSnapshot(snapshot, currentState);
+	// Any image still generating belongs to the turn just undone
+	cancelImageRequests();
+	return true;
+}
+
+/**
+ * Re-apply the last undone turn
+ * @returns {boolean} - Whether there was anything to redo
+ */
+export function redoTurn() {
+	const currentState = readState();
+	if (!canUndoTurn(currentState)) return false;
+
+	let snapshot = null;
+	undoState.update(({ past, future }) => {
+		if (future.length === 0) return { past, future };
+		snapshot = future[future.length - 1];
+		return { past: [...past, currentState], future: future.slice(0, -1) };
+	});
+
+	if (!snapshot) return false;
+	restoreSnapshot(snapshot, currentState);
+	return true;
+}
+
+/**
+ * Forget all undo/redo steps (new game or a different save loaded)
+ */
+export function clearUndoHistory() {
+	undoState.set({ past: [], future: [] });
+}
+
+// ===== PLAYERS =====
+
+// Default badge colors, handed out in roster order
+const PLAYER_COLORS = [
+	'#4299e1', '#d69e2e', '#48bb78', '#9f7aea',
+	'#ed8936', '#e53e3e', '#38b2ac', '#ed64a6'
+];
+
+/**
+ * Clean up a roster from the setup screen: trims fields, drops blank names, fills in ids and colors
+ * @param {Array<{name: string, pronouns?: string, color?: string, isAi?: boolean}>} players
+ * @returns {Array<{id: string, name: string, pronouns: string, color: string, isAi: boolean}>}
+ */
+function normalizePlayers(players = []) {
+	return players
+		.filter(player => player.name && player.name.trim())
+		.map((player, index) => ({
+			id: `p${index + 1}`,
+			name: player.name.trim(),
+			pronouns: (player.pronouns || '').trim(),
+			color: player.color || PLAYER_COLORS[index % PLAYER_COLORS.length],
+			isAi: Boolean(player.isAi)
+		}));
+}
+
+/**
+ * Player whose turn it is (the one who drew the active card)
+ * @param {Object} state - Game state
+ * @returns {Object|null} - Player, or null in an unattributed game or before the first draw
+ */
+export function getCurrentPlayer(state) {
+	return state.players?.[state.currentPlayerIndex] || null;
+}
+
+/**
+ * Player who will draw the next card
+ * @param {Object} state - Game state
+ * @returns {Object|null} - Player, or null in an unattributed game
+ */
+export function getNextPlayer(state) {
+	if (!state.players?.length) return null;
+	return state.players[(state.currentPlayerIndex + 1) % state.players.length];
+}
+
+/**
+ * Player whose controls are live: the next drawer while drawing, the drawer
+ * while their card is open. Setup, time gaps and the ending belong to everyone.
+ * @param {Object} state - Game state
+ * @returns {Object|null} - Player, or null when the whole table may act
+ */
+export function getActingPlayer(state) {
+	if (state.currentPhase !== 'mainPlay') return null;
+	return state.turnState === 'drawing' ? getNextPlayer(state) : getCurrentPlayer(state);
+}
+
+// ===== CARD QUESTIONS =====
+
+/**
+ * Question for the Nth draw of a rank, per the rulebook: the first time a rank
+ * is drawn it asks that rank's 1st question, the second time its 2nd, and so on.
+ * A rank drawn more often than it has questions (only possible once a deck holds
+ * more than four of a rank) asks its last question again, flagged as a repeat
+ * so the table can choose a focused situation instead.
+ * @param {Object} tables - Question tables from getDeckTables()
+ * @param {string} rank - Card rank, e.g. 'five'
+ * @param {number} occurrence - Which draw of this rank (1-based)
+ * @returns {{ rank: string, occurrence: number, question: string, isRepeat: boolean }}
+ */
+export function getCardQuestion(tables, rank, occurrence) {
+	const questions = tables.numericalCardQuestions[rank] || [];
+	if (questions.length === 0) {
+		return { rank, occurrence, question: '', isRepeat: false };
+	}
+	return {
+		rank,
+		occurrence,
+		question: questions[Math.min(occurrence, questions.length) - 1],
+		isRepeat: occurrence > questions.length
+	};
+}
+
+/**
+ * Question a numbered card asks right now, from its rank and how many
+ * times that rank has already been answered this game.
+ * DO NOT index numericalCardQuestions anywhere else - use this.
+ * @param {Object} state - Game state
+ * @param {Object} card - Card to resolve; defaults to the active card
+ * @returns {Object|null} - See getCardQuestion(), or null for no card or a ten
+ */
+export function resolveCardQuestion(state, card = state.activeCard) {
+	if (!card?.rank || card.rank === 'ten') return null;
+	const occurrence = (state.cardRankCounts[card.rank] || 0) + 1;
+	return getCardQuestion(getDeckTables(state), card.rank, occurrence);
+}
+
+// ===== SAFETY TOOLS =====
+
+const MAX_SAFETY_ITEMS = 20;
+const MAX_SAFETY_ITEM_LENGTH = 100;
+
+/**
+ * Clean up lines and veils from the setup screen: trims, drops blanks and duplicates
+ * @param {{lines?: string[], veils?: string[]}} safety
+ * @returns {{lines: string[], veils: string[]}}
+ */
+function normalizeSafety(safety = {}) {
+	const clean = (items = []) => [
+		...new Set(
+			items
+				.map(item => String(item || '').trim().slice(0, MAX_SAFETY_ITEM_LENGTH))
+				.filter(Boolean)
+		)
+	].slice(0, MAX_SAFETY_ITEMS);
+
+	return { lines: clean(safety.lines), veils: clean(safety.veils) };
+}
+
+/**
+ * Whether the X-card has a prompt to set aside right now: a face card
+ * during setup, a drawn numbered card during main play, or a time gap's
+ * ten-card prompt
+ * @param {Object} state - Game state
+ * @returns {boolean}
+ */
+export function canUseXCard(state) {
+	if (state.currentPhase === 'setup-place') return Boolean(state.currentFaceCard);
+	return canTransition(state, EVENTS.X_CARD);
+}
+
+/**
+ * Tap the X-card: set the current prompt aside, no questions asked.
+ * A face card is skipped as if left blank; a numbered card is discarded
+ * with its question and the same player draws again; a time gap goes on
+ * without its ten-card prompt. Nothing about who tapped it or why is recorded.
+ * @returns {Promise<boolean>} - Whether a prompt was set aside
+ */
+export async function playXCard() {
+	const state = readState();
+	if (!canUseXCard(state)) return false;
+
+	if (state.currentPhase === 'setup-place') {
+		await submitFaceCardAnswer('', '');
+		return true;
+	}
+	return sendPhaseEvent(EVENTS.X_CARD);
+}
+
+// ===== PROMPT TEMPLATES =====
+
+/**
+ * Override one of this game's image prompt templates (see promptTemplates.js).
+ * The override is saved with the game, so it applies to every image from here on.
+ * @param {string} id - Template id
+ * @param {string} text - Template text with {{placeholders}}
+ * @throws {Error} - If the template is empty or uses placeholders it doesn't have
+ */
+export function setPromptTemplate(id, text) {
+	const { valid, errors } = validatePromptTemplate(id, text);
+	if (!valid) {
+		throw new Error(errors.join(' '));
+	}
+
+	gameState.update(state => ({
+		...state,
+		promptTemplates: { ...state.promptTemplates, [id]: text }
+	}));
+}
+
+/**
+ * Go back to the built-in template
+ * @param {string} [id] - Template id; omit to reset every template
+ */
+export function resetPromptTemplate(id) {
+	gameState.update(state => {
+		if (!id) return { ...state, promptTemplates: {} };
+		const promptTemplates = Object.fromEntries(
+			Object.entries(state.promptTemplates || {}).filter(([templateId]) => templateId !== id)
+		);
+		return { ...state, promptTemplates };
+	});
+}
+
+// ===== CODEX =====
+
+/**
+ * Add an entry to the place codex (see codex.js)
+ * @param {Object} entry - { kind, name, description, cycle?, eventId? } - cycle defaults to the current one
+ * @returns {string} - The new entry's id
+ * @throws {Error} - If the entry has no name or is already in the codex
+ */
+export function addCodexEntry(entry) {
+	const currentState = readState();
+	const normalized = normalizeCodexEntry({ cycle: currentState.currentCycle, ...entry });
+	const { valid, errors } = validateCodexEntry(currentState.codex, normalized);
+	if (!valid) {
+		throw new Error(errors.join(' '));
+	}
+
+	const id = `codex-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+	gameState.update(state => ({
+		...state,
+		codex: [...state.codex, { id, ...normalized }]
+	}));
+	return id;
+}
+
+/**
+ * Edit a codex entry
+ * @param {string} id - Entry id
+ * @param {Object} changes - Fields to change: kind, name, description, cycle
+ * @throws {Error} - If the entry doesn't exist, or the edit leaves it without a name or clashing with another
+ */
+export function updateCodexEntry(id, changes) {
+	const currentState = readState();
+	const existing = currentState.codex.find(entry => entry.id === id);
+	if (!existing) {
+		throw new Error('That codex entry no longer exists.');
+	}
+
+	const normalized = normalizeCodexEntry({ ...existing, ...changes });
+	const { valid, errors } = validateCodexEntry(currentState.codex, normalized, id);
+	if (!valid) {
+		throw new Error(errors.join(' '));
+	}
+
+	gameState.update(state => ({
+		...state,
+		codex: state.codex.map(entry => (entry.id === id ? { id, ...normalized } : entry))
+	}));
+}
+
+/**
+ * Remove an entry from the codex
+ * @param {string} id - Entry id
+ */
+export function removeCodexEntry(id) {
+	gameState.update(state => ({
+		...state,
+		codex: state.codex.filter(entry => entry.id !== id)
+	}));
+}
+
+// ===== HISTORY =====
+
+/**
+ * Append an event to the game's history log.
+ * Every action that records something the players said goes through here, so
+ * the history is the complete, ordered story of the game. Entries are never
+ * removed or rewritten - only their image fields are filled in once the
+ * background image generation for that turn finishes.
+ * @param {Object} details - Event fields: type, card, question, answer, ...
+ * @returns {string} - The new event's id (pass to imageService to attach the image)
+ */
+function appendHistoryEvent(details) {
+	const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+	gameState.update(state => ({
+		...state,
+		history: [
+			...state.history,
+			{
+				id,
+				turn: state.history.length + 1,
+				cycle: state.currentCycle,
+				phase: state.currentPhase,
+				player: null,
+				card: null,
+				question: null,
+				answer: null,
+				imageUrl: null,
+				imagePrompt: null,
+				timestamp: Date.now(),
+				...details
+			}
+		]
+	}));
+
+	return id;
+}
 
 /**
  * Start the game with user's place description and style
  * @param {string} settingDescription - User's description of their place
  * @param {string} imageStyle - Selected visual style
  * @param {string} customImageStyle - Optional custom style description
+ * @param {string} seed - Optional seed to replay a known game; a random one is created if blank
+ * @param {Array<{name: string, pronouns?: string, color?: string}>} players - Hot-seat roster, in turn order
+ * @param {string|null} deckPackId - Custom deck pack to play with (see deckPacks.js); null for the base prompts
+ * @param {Object} variant - Rule changes for this game (see variants.js); omit for the rulebook game
+ * @param {{lines: string[], veils: string[]}} safety - Content the table has ruled out (lines) or wants kept off-screen (veils)
+ * @param {string} negativePrompt - Comma-separated things to keep out of this game's images
  * @returns {Promise<boolean>} - Success/failure of game start
+ * @throws {Error} - If the variant is invalid
  */
-export async function startGame(settingDescription, imageStyle, customImageStyle = '') {
+export async function startGame(settingDescription, imageStyle, customImageStyle = '', seed = '', players = [], deckPackId = null, variant = {}, safety = {}, negativePrompt = '') {
+	const gameVariant = normalizeVariant(variant);
+	const { valid, errors } = validateVariant(gameVariant);
+	if (!valid) {
+		throw new Error(errors.join(' '));
+	}
+
 	// Update game state with both styles - prompt builder will handle priority
 	// Empty descriptions are allowed - promptBuilder.js has fallback to 'a mysterious place'
-	gameState.update(state => ({
+	// A new game starts with a fresh image budget on the server
+	imageBudget.set(null);
+
+	gameState.update(state => transition({
 		...state,
+		gameId: createGameId(),
+		seed: normalizeSeed(seed) || createSeed(),
+		players: normalizePlayers(players),
+		currentPlayerIndex: -1,
+		deckPack: getDeckPackSnapshot(deckPackId),
+		variant: gameVariant,
+		safety: normalizeSafety(safety),
 		settingDescription: settingDescription.trim(),
 		imageStyle: imageStyle,
 		customImageStyle: customImageStyle.trim(),
-		currentPhase: 'setup-timeline'
-	}));
+		imageNegativePrompt: negativePrompt.trim()
+	}, EVENTS.START_GAME));
+
+	const eventId = appendHistoryEvent({
+		type: 'place',
+		question: 'Describe your place',
+		answer: settingDescription.trim()
+	});
 
 	// Generate the first image using the centralized service
 	// NOTE: We pass context to help the prompt builder understand this is the initial setup
 	const success = await generateImageWithContext(
 		"Describe your place", 
-		settingDescription.trim()
+		settingDescription.trim(),
+		eventId
 	);
 
 	return success;
@@ -54,13 +475,16 @@ export async function startGame(settingDescription, imageStyle, customImageStyle
  * @returns {Object} - The roll result and time unit
  */
 export function rollTimeline() {
+	const currentState = readState();
+
 	// Use the existing dice logic - this is why we have dice.js!
-	const roll = rollD6();
+	const roll = rollD6(getRng(currentState.seed, `timeline:${currentState.timelineRollCount}`));
 	const timeUnit = getTimelineUnit(roll);
 
 	// Update game state - but don't advance phase yet (for reroll option)
 	gameState.update(state => ({
 		...state,
+		timelineRollCount: state.timelineRollCount + 1,
 		timelineRoll: roll,
 		timelineUnit: timeUnit
 	}));
@@ -73,11 +497,15 @@ export function rollTimeline() {
  * @returns {Object} - Complete timeline information including descriptions
  */
 export function rollTimelineWithDetails() {
-	const timelineData = rollTimelineWithInfo();
+	const currentState = readState();
+	const timelineData = rollTimelineWithInfo(
+		getRng(currentState.seed, `timeline:${currentState.timelineRollCount}`)
+	);
 	
 	// Update game state with full timeline information
 	gameState.update(state => ({
 		...state,
+		timelineRollCount: state.timelineRollCount + 1,
 		timelineRoll: timelineData.roll,
 		timelineUnit: timelineData.unit,
 		timelineDescription: timelineData.description,
@@ -92,10 +520,15 @@ export function rollTimelineWithDetails() {
  * Accept the current timeline and proceed to place setup
  */
 export function acceptTimeline() {
-	gameState.update(state => ({
-		...state,
-		currentPhase: 'setup-place'
-	}));
+	const currentState = readState();
+
+	appendHistoryEvent({
+		type: 'timeline',
+		question: 'Roll for timeline',
+		answer: `${currentState.timelineUnit} (rolled ${currentState.timelineRoll})`
+	});
+
+	sendPhaseEvent(EVENTS.ACCEPT_TIMELINE);
 }
 
 /**
@@ -112,8 +545,10 @@ export function rerollTimeline() {
  * Uses existing deck.js logic - DO NOT reimplement card logic elsewhere
  */
 export function initializeFaceCardSetup() {
+	const currentState = readState();
+
 	// Use existing deck logic
-	const faceCardDeck = createFaceCardDeck();
+	const faceCardDeck = createFaceCardDeck(getRng(currentState.seed, 'face-cards'));
 	const { card: firstCard, remainingDeck } = drawCard(faceCardDeck);
 
 	gameState.update(state => ({
@@ -178,6 +613,13 @@ export async function submitFaceCardAnswer(answer, currentQuestion) {
 			};
 		});
 
+		const eventId = appendHistoryEvent({
+			type: 'faceCard',
+			card: currentState.currentFaceCard,
+			question: currentQuestion,
+			answer: answer.trim()
+		});
+
 		// Get updated state for image generation logic
 		gameState.subscribe(state => {
 			currentState = state;
@@ -197,12 +639,12 @@ export async function submitFaceCardAnswer(answer, currentQuestion) {
 			// Generate image in background - don't block game progression
 			if (currentState.recentAnswers.length > 1) {
 				// Use multiple answers template
-				generateImageWithMultipleAnswers(currentState.recentAnswers).catch(error => {
+				generateImageWithMultipleAnswers(currentState.recentAnswers, eventId).catch(error => {
 					console.error('Background image generation failed:', error);
 				});
 			} else {
 				// Fallback to single answer for first image
-				generateImageWithContext(currentQuestion, answer.trim()).catch(error => {
+				generateImageWithContext(currentQuestion, answer.trim(), eventId).catch(error => {
 					console.error('Background image generation failed:', error);
 				});
 			}
@@ -213,11 +655,7 @@ export async function submitFaceCardAnswer(answer, currentQuestion) {
 	// Progress to next card or complete setup
 	if (isLastCard) {
 		// All face cards complete - move to main gameplay
-		gameState.update(state => ({
-			...state,
-			faceCardsComplete: true,
-			currentPhase: 'mainPlay'
-		}));
+		sendPhaseEvent(EVENTS.FINISH_SETUP);
 		
 		return { 
 			isComplete: true, 
@@ -245,14 +683,20 @@ export async function submitFaceCardAnswer(answer, currentQuestion) {
 }
 
 /**
- * Navigate to a specific game phase
- * @param {string} phase - The phase to navigate to
+ * Send an event to the phase state machine (see phaseMachine.js) - the only
+ * way currentPhase and turnState change. Illegal events are logged and ignored.
+ * @param {string} event - One of EVENTS from phaseMachine.js
+ * @returns {boolean} - Whether the event was applied
  */
-export function navigateToPhase(phase) {
-	gameState.update(state => ({
-		...state,
-		currentPhase: phase
-	}));
+export function sendPhaseEvent(event) {
+	try {
+		gameState.set(transition(readState(), event));
+		return true;
+	} catch (error) {
+		if (!(error instanceof PhaseTransitionError)) throw error;
+		console.warn('Rejected phase event:', error.message);
+		return false;
+	}
 }
 
 /**
@@ -299,8 +743,14 @@ export async function drawNumericalCard() {
 	// Create numerical deck on first draw
 	let deck = currentState.numericalDeck;
 	if (deck.length === 0) {
-		deck = createNumericalDeck();
+		deck = createNumericalDeck(getRng(currentState.seed, 'numerical-deck'), getDeckOptions(currentState));
 		console.log('Created numerical deck:', deck.length, 'cards');
+
+		// Store the fresh deck first so undoing this draw puts the card back on it
+		gameState.update(state => ({
+			...state,
+			numericalDeck: deck
+		}));
 	}
 
 	// Draw card using existing deck logic
@@ -311,57 +761,40 @@ export async function drawNumericalCard() {
 		return { success: false, error: 'No more cards' };
 	}
 
+	captureTurnBoundary();
+
 	console.log('Drew card:', card);
 
-	// Update game state with drawn card
-	gameState.update(state => ({
-		...state,
+	// The next player in the roster drew it; the state machine then decides
+	// whether this is a regular turn, a time gap, or the end of the game
+	const drawnState = {
+		...readState(),
 		numericalDeck: remainingDeck,
-		activeCard: card
-	}));
+		activeCard: card,
+		currentPlayerIndex: currentState.players.length > 0
+			? (currentState.currentPlayerIndex + 1) % currentState.players.length
+			: -1
+	};
+	const nextState = transition(drawnState, card.rank === 'ten' ? EVENTS.DRAW_TEN : EVENTS.DRAW_CARD);
+	gameState.set(nextState);
 
-	// Check if it's a "10" card (time gap/end game)
-	if (card.rank === 'ten') {
-		// Calculate new tens count
-		const newTensCount = currentState.tensDrawn + 1;
-		
-		// Update tens drawn count
-		gameState.update(state => ({
-			...state,
-			tensDrawn: newTensCount
-		}));
-
-		// Check if this is the 4th ten (game end)
-		if (newTensCount >= 4) {
-			gameState.update(state => ({
-				...state,
-				currentPhase: 'end'
-			}));
-			return { success: true, action: 'endGame', card };
-		} else {
-			gameState.update(state => ({
-				...state,
-				currentPhase: 'timeGap'
-			}));
-			return { success: true, action: 'timeGap', card };
-		}
-	} else {
-		// Regular card - move to decision phase
-		gameState.update(state => ({
-			...state,
-			turnState: 'deciding'
-		}));
-		return { success: true, action: 'decide', card };
+	if (nextState.currentPhase === 'end') {
+		return { success: true, action: 'endGame', card };
+	}
+	if (nextState.currentPhase === 'timeGap') {
+		return { success: true, action: 'timeGap', card };
 	}
+	return { success: true, action: 'decide', card, question: resolveCardQuestion(currentState, card) };
 }
 
 /**
- * Submit an answer for a numerical card question
+ * Submit an answer for a numerical card question.
+ * The question is resolved here rather than passed in, so the history
+ * always records the question the rulebook assigns to this draw.
  * @param {string} answer - User's answer
- * @param {string} currentQuestion - The question being answered
  * @returns {Promise<boolean>} - Success/failure
  */
-export async function submitNumericalCardAnswer(answer, currentQuestion) {
+export async function submitNumericalCardAnswer(answer) {
 	let currentState;
 	gameState.subscribe(state => {
 		currentState = state;
@@ -372,10 +805,13 @@ export async function submitNumericalCardAnswer(answer, currentQuestion) {
 		return false;
 	}
 
+	captureTurnBoundary();
+
 	try {
+		const { question: currentQuestion, occurrence } = resolveCardQuestion(currentState);
+
 		// Create unique key for this answer
-		const currentCount = currentState.cardRankCounts[activeCard.rank] || 0;
-		const answerKey = `card_${activeCard.rank}_${currentCount + 1}`;
+		const answerKey = `card_${activeCard.rank}_${occurrence}`;
 
 		// Save answer to game state
 		gameState.update(state => ({
@@ -395,15 +831,19 @@ export async function submitNumericalCardAnswer(answer, currentQuestion) {
 			}
 		}));
 
+		const eventId = appendHistoryEvent({
+			type: 'cardAnswer',
+			player: getCurrentPlayer(currentState),
+			card: activeCard,
+			question: currentQuestion,
+			answer: answer.trim()
+		});
+
 		// Reset for next turn IMMEDIATELY - don't wait for image
-		gameState.update(state => ({
-			...state,
-			turnState: 'drawing',
-			activeCard: null
-		}));
+		sendPhaseEvent(EVENTS.FINISH_TURN);
 
 		// Generate image in background - don't block game progression
-		generateImageWithContext(currentQuestion, answer.trim()).catch(error => {
+		generateImageWithContext(currentQuestion, answer.trim(), eventId).catch(error => {
 			console.error('Background image generation failed:', error);
 		});
 
@@ -431,6 +871,8 @@ export async function submitFocusedSituation(situation, response) {
 		return false;
 	}
 
+	captureTurnBoundary();
+
 	try {
 		// Create unique key for this focused situation response
 		const currentCount = currentState.cardRankCounts[activeCard.rank] || 0;
@@ -454,16 +896,20 @@ export async function submitFocusedSituation(situation, response) {
 			}
 		}));
 
+		const eventId = appendHistoryEvent({
+			type: 'focusedSituation',
+			player: getCurrentPlayer(currentState),
+			card: activeCard,
+			question: situation.name,
+			answer: response.trim()
+		});
+
 		// Reset for next turn IMMEDIATELY - don't wait for image
-		gameState.update(state => ({
-			...state,
-			turnState: 'drawing',
-			activeCard: null
-		}));
+		sendPhaseEvent(EVENTS.FINISH_TURN);
 
 		// Generate image in background - don't block game progression
 		const contextQuestion = `Focused Situation: ${situation.name}`;
-		generateImageWithContext(contextQuestion, response.trim()).catch(error => {
+		generateImageWithContext(contextQuestion, response.trim(), eventId).catch(error => {
 			console.error('Background image generation failed:', error);
 		});
 
@@ -475,12 +921,138 @@ export async function submitFocusedSituation(situation, response) {
 }
 
 /**
- * Set turn state for main gameplay flow
- * @param {string} turnState - The turn state to set
+ * Play the AI co-player's drafted turn once the table has accepted it (see coPlayer.js).
+ * Goes through the same choice and submit actions as a human turn, so the
+ * history, rank counts and image are recorded exactly the same way.
+ * @param {{choice: 'answer'|'situation', situation: string|null, answer: string}} draft - As accepted, edits included
+ * @returns {Promise<boolean>} - Success/failure
+ */
+export async function playCoPlayerDraft(draft) {
+	const currentState = readState();
+	if (currentState.turnState !== 'deciding' || !draft?.answer?.trim()) {
+		return false;
+	}
+
+	if (draft.choice === 'situation') {
+		const situation = getDeckTables(currentState).focusedSituations.find(
+			option => option.name === draft.situation
+		);
+		if (!situation || !sendPhaseEvent(EVENTS.CHOOSE_SITUATION)) return false;
+		return submitFocusedSituation(situation, draft.answer);
+	}
+
+	if (!sendPhaseEvent(EVENTS.ANSWER)) return false;
+	return submitNumericalCardAnswer(draft.answer);
+}
+
+/**
+ * Roll the d6 for the current time gap's jump.
+ * Seeded by which ten triggered the gap, so the roll is the same after a reload or undo.
+ * @returns {number} - Amount of time units to jump (1-6)
  */
-export function setTurnState(turnState) {
+export function rollTimeGapAmount() {
+	const currentState = readState();
+	return rollD6(getRng(currentState.seed, `time-gap:${currentState.tensDrawn}`));
+}
+
+/**
+ * Submit a completed time gap: saves the ten-card answer and the gap answers,
+ * records the jump (see timeGaps.js), generates the transition image and
+ * starts the next cycle
+ * @param {Object} timeGapInfo - { timeAmount, timeUnit, direction }
+ * @param {Array<string>} timeGapAnswers - Answers to the time gap questions, in order
+ * @param {{question: string, answer: string}} [tenCard] - The ten-card prompt the players picked and their answer
+ * @returns {Promise<boolean>} - Success/failure of the transition image
+ */
+export async function submitTimeGap(timeGapInfo, timeGapAnswers, tenCard = null) {
+	const currentState = readState();
+	const { timeGapQuestions } = getDeckTables(currentState);
+
+	const tenNumber = currentState.tensDrawn;
+	const answers = timeGapAnswers.map(answer => answer.trim());
+	// The X-card may have set the prompt aside after it was answered
+	const tenCardAnswer = !currentState.tenCardSetAside && tenCard?.answer?.trim()
+		? { question: tenCard.question, answer: tenCard.answer.trim() }
+		: null;
+	const timeGap = {
+		tenNumber,
+		tenCard: tenCardAnswer,
+		amount: timeGapInfo.timeAmount,
+		unit: timeGapInfo.timeUnit,
+		direction: timeGapInfo.direction,
+		answers: answers.map((answer, index) => ({ question: timeGapQuestions[index], answer }))
+	};
+
+	captureTurnBoundary();
+
+	gameState.update(state => {
+		const newAnswers = { ...state.answers };
+		// The ten-card answer comes first, in the order they were played
+		if (tenCardAnswer) {
+			newAnswers[`tencard_${tenNumber}`] = tenCardAnswer.answer;
+		}
+		answers.forEach((answer, index) => {
+			newAnswers[`timegap_${tenNumber}_${index + 1}`] = answer;
+		});
+
+		return {
+			...state,
+			answers: newAnswers,
+			timeGaps: [...state.timeGaps, timeGap]
+		};
+	});
+
+	if (tenCardAnswer) {
+		appendHistoryEvent({
+			type: 'tenCard',
+			player: getCurrentPlayer(currentState),
+			card: currentState.activeCard,
+			question: tenCardAnswer.question,
+			answer: tenCardAnswer.answer
+		});
+	}
+
+	const eventId = appendHistoryEvent({
+		type: 'timeGap',
+		card: currentState.activeCard,
+		question: `Time moves ${timeGapInfo.direction} ${timeGapInfo.timeAmount} ${timeGapInfo.timeUnit}`,
+		answer: answers.join('\n\n'),
+		timeGap
+	});
+
+	const success = await generateTimeGapImage(timeGapInfo, answers, eventId);
+
+	// The game may have been rewound or replaced (a save loaded) while the
+	// image generated - only finish the gap if it is still part of the story
+	if (!readState().history.some(event => event.id === eventId)) return false;
+
+	// On to the next cycle - the fourth ten never opens a time gap, it ends the game
+	sendPhaseEvent(EVENTS.COMPLETE_TIME_GAP);
+
+	return success;
+}
+
+/**
+ * Submit the final "what happens tomorrow" answer and generate the last image
+ * @param {string} question - The final question text
+ * @param {string} answer - The players' answer
+ * @returns {Promise<boolean>} - Success/failure of the final image
+ */
+export async function submitFinalAnswer(question, answer) {
 	gameState.update(state => ({
 		...state,
-		turnState
+		answers: {
+			...state.answers,
+			final_tomorrow: answer.trim()
+		}
 	}));
+
+	const eventId = appendHistoryEvent({
+		type: 'final',
+		question,
+		answer: answer.trim()
+	});
+
+	return await generateImageWithContext(question, answer.trim(), eventId);
 }
+
@@ -0,0 +1,65 @@
+// src/routes/games/the-ground-itself/logic/imageGallery.js
+
+/**
+ * IMAGE GALLERY
+ *
+ * Every generated image is kept on the history event that triggered it
+ * (see generateImage in imageService.js), so the gallery is read straight
+ * from gameState.history rather than stored separately.
+ */
+
+/**
+ * All generated images in the order they were made
+ * @param {Array} history - gameState.history
+ * @returns {Array<{eventId: string, turn: number, type: string, phase: string, cycle: number, question: string|null, imageUrl: string, imagePrompt: string|null}>}
+ */
+export function getImageGallery(history = []) {
+	return history
+		.filter((event) => event.imageUrl)
+		.map((event) => ({
+			eventId: event.id,
+			turn: event.turn,
+			type: event.type,
+			phase: event.phase,
+			cycle: event.cycle,
+			question: event.question,
+			imageUrl: event.imageUrl,
+			imagePrompt: event.imagePrompt
+		}));
+}
+
+/**
+ * Pair each time gap's image with the last image made before the jump
+ * @param {Array} history - gameState.history
+ * @returns {Array<{eventId: string, timeGap: Object, before: Object, after: Object}>}
+ *   Only time gaps with both images are included
+ */
+export function getTimeGapComparisons(history = []) {
+	const gallery = getImageGallery(history);
+	const comparisons = [];
+
+	gallery.forEach((image, index) => {
+		if (image.type !== 'timeGap' || index === 0) return;
+		const event = history.find((e) => e.id === image.eventId);
+		comparisons.push({
+			eventId: image.eventId,
+			timeGap: event.timeGap,
+			before: gallery[index - 1],
+			after: image
+		});
+	});
+
+	return comparisons;
+}
+
+/**
+ * Short caption for a gallery image
+ * @param {Object} image - Entry from getImageGallery
+ * @returns {string}
+ */
+export function describeGalleryImage(image) {
+	if (image.type === 'place' || image.type === 'faceCard') return 'Establishing the place';
+	if (image.type === 'final') return 'Tomorrow';
+	if (image.type === 'timeGap') return `Time gap after cycle ${image.cycle}`;
+	return `Cycle ${image.cycle}, turn ${image.turn}`;
+}
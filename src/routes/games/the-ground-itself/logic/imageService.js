@@ -13,85 +13,331 @@
  * - Makes testing easier
  */
 
-import { gameState } from '../stores.js';
-import { buildImagePrompt } from './promptBuilder.js';
+import { gameState, imageNotice, imageBudget, imageRequests } from '../stores.js';
+import { buildImagePrompt, buildNegativePrompt } from './promptBuilder.js';
+import { refreshStorySummary } from './summaryService.js';
+
+// Refusals the server words for the players rather than for the console
+const PLAYER_FACING_ERRORS = [
+	'blocked',
+	'filter_unavailable',
+	'prompt_too_long',
+	'rate_limited',
+	'budget_exhausted'
+];
+
+// ===== REQUEST QUEUE =====
+//
+// One image request runs at a time. Only the latest turn's image matters, so
+// a new request supersedes the one waiting and aborts the one running - a
+// slow early response can never overwrite a newer image. Transient failures
+// (network, provider timeouts, rate limits) are retried with backoff.
+// Each request's status is published in the imageRequests store.
+
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_MS = 1000;
+// Longer waits than this are reported to the players instead of retried
+const MAX_RETRY_WAIT_MS = 20000;
+// Finished requests kept in imageRequests for the status list
+const STATUS_HISTORY = 4;
+const TRANSIENT_STATUSES = [502, 503, 504];
+
+let nextRequestId = 1;
+let waiting = null;
+let running = null;
 
 /**
- * Generate an image based on current game state
- * @param {Object} options - Optional context for prompt building
- * @param {Object} options.currentContext - Current question/answer context
- * @returns {Promise<boolean>} - Success/failure of image generation
+ * Thrown for a failed attempt; `retryAfterMs` is set when trying again may work
  */
-export async function generateImage(options = {}) {
-	try {
-		// Set loading state
-		gameState.update(state => ({
-			...state,
-			isGeneratingImage: true
-		}));
+class ImageAttemptError extends Error {
+	constructor(message, { code, retryAfterMs = null } = {}) {
+		super(message);
+		this.name = 'ImageAttemptError';
+		this.code = code;
+		this.retryAfterMs = retryAfterMs;
+	}
+}
+
+function readState() {
+	let currentState;
+	gameState.subscribe(state => {
+		currentState = state;
+	})();
+	return currentState;
+}
+
+function describeRequest(currentContext = {}) {
+	if (currentContext.timeGapInfo) return 'Time gap';
+	if (currentContext.multipleAnswers) return 'Setup answers';
+	if (currentContext.currentQuestion) return currentContext.currentQuestion;
+	return 'Your place';
+}
+
+function setRequestStatus(job, status, details = {}) {
+	job.status = status;
+	imageRequests.update(requests => {
+		const updated = requests.map(request =>
+			request.id === job.id ? { ...request, status, ...details } : request
+		);
+		// Keep every unfinished request, plus the latest few finished ones
+		const finished = updated.filter(request => !isPending(request.status));
+		const dropped = new Set(finished.slice(0, -STATUS_HISTORY).map(request => request.id));
+		return updated.filter(request => !dropped.has(request.id));
+	});
+}
+
+function isPending(status) {
+	return status === 'queued' || status === 'generating' || status === 'retrying';
+}
 
-		// Get current game state for prompt building
-		let currentState;
-		gameState.subscribe(state => {
-			currentState = state;
-		})();
+function updateLoadingFlag() {
+	const busy = Boolean(running || waiting);
+	if (readState().isGeneratingImage !== busy) {
+		gameState.update(state => ({ ...state, isGeneratingImage: busy }));
+	}
+}
 
-		// Build the prompt using the centralized prompt builder
-		const prompt = buildImagePrompt(currentState, options);
+/**
+ * Wait before a retry, stopping early if the request is cancelled
+ */
+function wait(ms, signal) {
+	return new Promise((resolve, reject) => {
+		const timer = setTimeout(resolve, ms);
+		signal.addEventListener(
+			'abort',
+			() => {
+				clearTimeout(timer);
+				reject(signal.reason);
+			},
+			{ once: true }
+		);
+	});
+}
 
-		// Call the API endpoint
-		const response = await fetch('/games/the-ground-itself/api/generate-image', {
+/**
+ * Stop a request that hasn't finished
+ * @param {Object} job
+ * @param {'cancelled'|'superseded'} status
+ */
+function stopRequest(job, status) {
+	setRequestStatus(job, status);
+	job.controller.abort();
+	job.resolve(false);
+}
+
+async function drainQueue() {
+	while (waiting) {
+		running = waiting;
+		waiting = null;
+		await runRequest(running);
+		running = null;
+	}
+	updateLoadingFlag();
+}
+
+/**
+ * Make one call to the generate-image route
+ * @returns {Promise<Object>} - The successful response body
+ * @throws {ImageAttemptError}
+ */
+async function requestImage(prompt, currentState, signal) {
+	let response;
+	try {
+		response = await fetch('/games/the-ground-itself/api/generate-image', {
 			method: 'POST',
 			headers: {
 				'Content-Type': 'application/json'
 			},
 			body: JSON.stringify({
 				prompt: prompt,
-				isDevelopmentMode: currentState.isDevelopmentMode
-			})
+				// Part of the server's image cache key
+				style: currentState.customImageStyle || currentState.imageStyle || '',
+				// The server adds its defaults and only sends it to providers that support it
+				negativePrompt: buildNegativePrompt(currentState),
+				// Lines and veils - the server appends them after screening the prompt
+				safety: {
+					lines: currentState.safety?.lines || [],
+					veils: currentState.safety?.veils || []
+				},
+				// The server counts this game's image budget against it
+				gameId: currentState.gameId
+			}),
+			signal
+		});
+	} catch (error) {
+		if (signal.aborted) throw error;
+		throw new ImageAttemptError(error.message, { code: 'network', retryAfterMs: 0 });
+	}
+
+	const result = await response.json().catch(() => ({ success: false }));
+
+	if (result.budget) {
+		imageBudget.set(result.budget);
+	}
+	if (result.success) return result;
+
+	const message = result.error || `Image request failed (HTTP ${response.status})`;
+	if (response.status === 429 && result.code === 'rate_limited') {
+		const retryAfter = Number(response.headers.get('Retry-After'));
+		throw new ImageAttemptError(message, {
+			code: result.code,
+			retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : 0
 		});
+	}
+	if (TRANSIENT_STATUSES.includes(response.status)) {
+		throw new ImageAttemptError(message, { code: result.code, retryAfterMs: 0 });
+	}
+	throw new ImageAttemptError(message, { code: result.code });
+}
+
+/**
+ * Run a request to the end: build the prompt, call the route (retrying
+ * transient failures) and apply the image unless the request went stale
+ */
+async function runRequest(job) {
+	const { signal } = job.controller;
+	try {
+		setRequestStatus(job, 'generating', { attempt: 1 });
 
-		const result = await response.json();
-		
-		if (result.success) {
-			// Update state with successful result
-			gameState.update(state => ({
-				...state,
-				currentImageUrl: result.imageUrl,
-				lastGeneratedPrompt: result.prompt,
-				isGeneratingImage: false
-			}));
-			return true;
-		} else {
-			console.error('Image generation failed:', result.error);
-			gameState.update(state => ({
-				...state,
-				isGeneratingImage: false
-			}));
-			return false;
+		// Bring the story summary up to date so the prompt remembers earlier turns
+		await refreshStorySummary();
+		if (signal.aborted) return;
+
+		const currentState = readState();
+		const prompt = buildImagePrompt(currentState, job.options);
+
+		let result;
+		for (let attempt = 1; !result; attempt++) {
+			try {
+				result = await requestImage(prompt, currentState, signal);
+			} catch (error) {
+				if (signal.aborted || !(error instanceof ImageAttemptError)) throw error;
+
+				const delay = Math.max(error.retryAfterMs ?? 0, RETRY_BASE_MS * 2 ** (attempt - 1));
+				if (error.retryAfterMs === null || attempt >= MAX_ATTEMPTS || delay > MAX_RETRY_WAIT_MS) {
+					throw error;
+				}
+				console.warn(`Image request failed, retrying in ${delay}ms:`, error.message);
+				setRequestStatus(job, 'retrying', { attempt: attempt + 1, error: error.message });
+				await wait(delay, signal);
+				setRequestStatus(job, 'generating');
+			}
 		}
-	} catch (error) {
-		console.error('Error calling image API:', error);
+
+		// Tell the players when the content filter changed this image
+		imageNotice.set(
+			result.filterReason ? { type: 'filtered', message: result.filterReason } : null
+		);
+
+		// The turn this image belongs to was undone while it generated - drop it
+		const { eventId } = job.options;
+		if (eventId && !readState().history.some(event => event.id === eventId)) {
+			setRequestStatus(job, 'cancelled');
+			job.resolve(false);
+			return;
+		}
+
 		gameState.update(state => ({
 			...state,
-			isGeneratingImage: false
+			currentImageUrl: result.imageUrl,
+			lastGeneratedPrompt: result.prompt,
+			history: eventId
+				? state.history.map(event =>
+						event.id === eventId
+							? { ...event, imageUrl: result.imageUrl, imagePrompt: result.prompt }
+							: event
+					)
+				: state.history
 		}));
-		return false;
+		setRequestStatus(job, 'done', { error: null });
+		job.resolve(true);
+	} catch (error) {
+		// Superseded or cancelled - stopRequest() already settled it
+		if (signal.aborted) return;
+
+		console.error('Image generation failed:', error.message);
+		// Tell the players why there isn't an image
+		imageNotice.set(
+			PLAYER_FACING_ERRORS.includes(error.code) ? { type: 'blocked', message: error.message } : null
+		);
+		setRequestStatus(job, 'failed', { error: error.message });
+		job.resolve(false);
 	}
 }
 
+/**
+ * Cancel every image request that hasn't finished - for undo, loading a
+ * save and starting over, where their turns no longer exist
+ */
+export function cancelImageRequests() {
+	if (waiting) stopRequest(waiting, 'cancelled');
+	if (running) stopRequest(running, 'cancelled');
+	waiting = null;
+	gameState.update(state => ({ ...state, isGeneratingImage: false }));
+}
+
+/**
+ * Forget finished requests, e.g. when another game is loaded
+ */
+export function clearImageRequests() {
+	cancelImageRequests();
+	imageRequests.set([]);
+}
+
+/**
+ * Generate an image based on current game state.
+ * Queued behind the request already running, and superseding it - see REQUEST QUEUE above.
+ * @param {Object} options - Optional context for prompt building
+ * @param {Object} options.currentContext - Current question/answer context
+ * @param {string} options.eventId - History event to attach the generated image to
+ * @returns {Promise<boolean>} - Whether this request's image was applied (false when it failed or was superseded)
+ */
+export function generateImage(options = {}) {
+	return new Promise(resolve => {
+		const job = {
+			id: nextRequestId++,
+			options,
+			status: 'queued',
+			controller: new AbortController(),
+			resolve
+		};
+
+		// Only the latest turn's image matters
+		if (waiting) stopRequest(waiting, 'superseded');
+		if (running && isPending(running.status)) stopRequest(running, 'superseded');
+
+		imageRequests.update(requests => [
+			...requests,
+			{
+				id: job.id,
+				eventId: options.eventId || null,
+				label: describeRequest(options.currentContext),
+				status: 'queued',
+				attempt: 0,
+				error: null
+			}
+		]);
+		waiting = job;
+		updateLoadingFlag();
+
+		if (!running) drainQueue();
+	});
+}
+
 /**
  * Generate image with enhanced context (for face cards, main gameplay, etc.)
  * @param {string} currentQuestion - The question being answered
  * @param {string} currentAnswer - The user's answer
+ * @param {string} [eventId] - History event the image belongs to
  * @returns {Promise<boolean>} - Success/failure of image generation
  */
-export async function generateImageWithContext(currentQuestion, currentAnswer) {
+export async function generateImageWithContext(currentQuestion, currentAnswer, eventId) {
 	return await generateImage({
 		currentContext: {
 			currentQuestion,
 			currentAnswer
-		}
+		},
+		eventId
 	});
 }
 
@@ -99,26 +345,30 @@ export async function generateImageWithContext(currentQuestion, currentAnswer) {
  * Generate image for time gap transitions
  * @param {Object} timeGapInfo - Information about the time transition
  * @param {Array} timeGapAnswers - Answers to time gap questions
+ * @param {string} [eventId] - History event the image belongs to
  * @returns {Promise<boolean>} - Success/failure of image generation
  */
-export async function generateTimeGapImage(timeGapInfo, timeGapAnswers) {
+export async function generateTimeGapImage(timeGapInfo, timeGapAnswers, eventId) {
 	return await generateImage({
 		currentContext: {
 			timeGapInfo,
 			timeGapAnswers
-		}
+		},
+		eventId
 	});
 }
 
 /**
  * Generate image with multiple question/answer pairs (for setup phase)
  * @param {Array} questionAnswerPairs - Array of {question, answer} objects
+ * @param {string} [eventId] - History event the image belongs to
  * @returns {Promise<boolean>} - Success/failure of image generation
  */
-export async function generateImageWithMultipleAnswers(questionAnswerPairs) {
+export async function generateImageWithMultipleAnswers(questionAnswerPairs, eventId) {
 	return await generateImage({
 		currentContext: {
 			multipleAnswers: questionAnswerPairs
-		}
+		},
+		eventId
 	});
 }
@@ -0,0 +1,417 @@
+// src/routes/games/the-ground-itself/logic/multiplayer.js
+
+/**
+ * CENTRALIZED MULTIPLAYER ROOM SERVICE
+ *
+ * Connects this browser's gameState to a room on the local relay
+ * (server/rooms.js) so remote players share one game.
+ * DO NOT call the rooms API from components - always use this service.
+ *
+ * How syncing works:
+ * - Every local change to gameState is pushed to the room (debounced),
+ *   tagged with the room version it was based on
+ * - Changes from other participants arrive over a server-sent event stream
+ *   and replace the local gameState
+ * - If someone else changed the game first, the room's state wins; images
+ *   that finished generating here in the meantime are carried over and pushed again
+ */
+
+import { derived } from 'svelte/store';
+import { browser } from '$app/environment';
+import { goto } from '$app/navigation';
+import { gameState, roomState, createInitialRoomState } from '../stores.js';
+import { getActingPlayer, clearUndoHistory, playXCard } from './gameActions.js';
+import { getRouteForPhase, startNewSlot } from './saveSlots.js';
+
+const API_BASE = '/games/the-ground-itself/api/rooms';
+const SESSION_KEY = 'the-ground-itself:room';
+const PUSH_DELAY_MS = 150;
+
+let eventSource = null;
+let stopSync = null;
+let pushTimer = null;
+let isPushing = false;
+let pushPending = false;
+let applyingRemote = false;
+
+function readGameState() {
+	let currentState;
+	gameState.subscribe((state) => {
+		currentState = state;
+	})();
+	return currentState;
+}
+
+function readRoomState() {
+	let currentRoom;
+	roomState.subscribe((room) => {
+		currentRoom = room;
+	})();
+	return currentRoom;
+}
+
+async function request(path, method, body) {
+	const response = await fetch(`${API_BASE}${path}`, {
+		method,
+		headers: {
+			'Content-Type': 'application/json'
+		},
+		body: body ? JSON.stringify(body) : undefined
+	});
+	return response.json();
+}
+
+// ===== PERMISSIONS =====
+
+/**
+ * Whether this browser may take the current turn.
+ * Outside a room, or when the whole table acts (setup, time gaps, ending, or the
+ * AI co-player's turns, which anyone may accept), always true.
+ * @param {Object} game - gameState value
+ * @param {Object} room - roomState value
+ * @returns {boolean}
+ */
+export function canAct(game, room) {
+	if (!room.code) return true;
+	const actingPlayer = getActingPlayer(game);
+	if (!actingPlayer || actingPlayer.isAi) return true;
+	const me = room.participants.find((participant) => participant.id === room.participantId);
+	return me?.playerId === actingPlayer.id;
+}
+
+/**
+ * Whether this browser applies an X-card tapped anywhere in the room: the
+ * acting player's, or the host's when the whole table acts or that seat is empty
+ * @param {Object} game - gameState value
+ * @param {Object} room - roomState value
+ * @returns {boolean}
+ */
+function handlesXCard(game, room) {
+	const me = room.participants.find((participant) => participant.id === room.participantId);
+	const actingPlayer = getActingPlayer(game);
+	const seatTaken =
+		actingPlayer &&
+		room.participants.some(
+			(participant) => participant.playerId === actingPlayer.id && participant.connected
+		);
+	return seatTaken ? me?.playerId === actingPlayer.id : Boolean(me?.isHost);
+}
+
+export const canActInRoom = derived([gameState, roomState], ([$gameState, $roomState]) =>
+	canAct($gameState, $roomState)
+);
+
+// ===== APPLYING REMOTE STATE =====
+
+/**
+ * Copy images that finished here onto the room's newer state, so a
+ * late image isn't lost when someone else moved the game on meanwhile
+ * @returns {{ state: Object, changed: boolean }}
+ */
+function carryOverImages(remote, local) {
+	const localImages = new Map(
+		local.history.filter((event) => event.imageUrl).map((event) => [event.id, event])
+	);
+	let changed = false;
+
+	const history = remote.history.map((event) => {
+		const localEvent = localImages.get(event.id);
+		if (event.imageUrl || !localEvent) return event;
+		changed = true;
+		return { ...event, imageUrl: localEvent.imageUrl, imagePrompt: localEvent.imagePrompt };
+	});
+
+	if (!changed) return { state: remote, changed };
+
+	const latestImage = [...history].reverse().find((event) => event.imageUrl);
+	return {
+		state: { ...remote, history, currentImageUrl: latestImage.imageUrl },
+		changed
+	};
+}
+
+/**
+ * Replace the local game with the room's, then follow it to the right page.
+ * Undo history is dropped so an undo can never rewind someone else's turn.
+ */
+function applyRemoteState(state, version) {
+	clearUndoHistory();
+	applyingRemote = true;
+	try {
+		// Keep this browser's own image-loading indicator
+		gameState.set({ ...state, isGeneratingImage: readGameState().isGeneratingImage });
+	} finally {
+		applyingRemote = false;
+	}
+	roomState.update((room) => ({ ...room, version }));
+
+	const route = getRouteForPhase(state.currentPhase);
+	if (window.location.pathname !== route) {
+		goto(route);
+	}
+}
+
+// ===== PUSHING LOCAL CHANGES =====
+
+function schedulePush() {
+	clearTimeout(pushTimer);
+	pushTimer = setTimeout(pushLocalState, PUSH_DELAY_MS);
+}
+
+async function pushLocalState() {
+	if (isPushing) {
+		pushPending = true;
+		return;
+	}
+
+	const room = readRoomState();
+	if (!room.code) return;
+
+	isPushing = true;
+	const state = readGameState();
+	try {
+		const result = await request(`/${room.code}/state`, 'PUT', {
+			token: room.token,
+			baseVersion: room.version,
+			state
+		});
+
+		if (result.success) {
+			roomState.update((current) => ({
+				...current,
+				version: Math.max(current.version, result.version),
+				error: null
+			}));
+		} else if (result.state) {
+			// Someone else moved first, or it wasn't our turn - the room's game wins
+			const merged = carryOverImages(result.state, readGameState());
+			applyRemoteState(merged.state, result.version);
+			roomState.update((current) => ({
+				...current,
+				error: result.code === 'forbidden' ? result.error : null
+			}));
+			if (merged.changed) schedulePush();
+		} else {
+			roomState.update((current) => ({ ...current, error: result.error }));
+		}
+	} catch (error) {
+		console.error('Could not sync with room:', error);
+		roomState.update((current) => ({ ...current, error: 'Could not reach the room server' }));
+	} finally {
+		isPushing = false;
+		if (pushPending) {
+			pushPending = false;
+			schedulePush();
+		}
+	}
+}
+
+function startSync() {
+	let isInitialCall = true;
+	stopSync = gameState.subscribe(() => {
+		// subscribe() calls back immediately with the state we just applied
+		if (isInitialCall) {
+			isInitialCall = false;
+			return;
+		}
+		if (!applyingRemote) schedulePush();
+	});
+}
+
+// ===== EVENT STREAM =====
+
+function connectEvents(code, token) {
+	eventSource = new EventSource(`${API_BASE}/${code}/events?token=${encodeURIComponent(token)}`);
+
+	eventSource.onopen = () => {
+		roomState.update((room) => ({ ...room, status: 'connected', error: null }));
+	};
+
+	eventSource.onerror = () => {
+		// EventSource retries on its own unless the room is gone
+		const closed = eventSource.readyState === EventSource.CLOSED;
+		roomState.update((room) => ({
+			...room,
+			status: closed ? 'offline' : 'reconnecting',
+			error: closed ? 'Lost the room - it may have closed when the server restarted' : room.error
+		}));
+	};
+
+	eventSource.addEventListener('state', (event) => {
+		const { version, state, by } = JSON.parse(event.data);
+		const room = readRoomState();
+		if (version <= room.version) return;
+
+		// Our own change coming back - local state may already be ahead of it
+		if (by === room.participantId) {
+			roomState.update((current) => ({ ...current, version }));
+			return;
+		}
+
+		const merged = carryOverImages(state, readGameState());
+		applyRemoteState(merged.state, version);
+		if (merged.changed) schedulePush();
+	});
+
+	eventSource.addEventListener('participants', (event) => {
+		const participants = JSON.parse(event.data);
+		roomState.update((room) => ({ ...room, participants }));
+	});
+
+	eventSource.addEventListener('comment', (event) => {
+		const comment = JSON.parse(event.data);
+		roomState.update((room) => ({ ...room, comments: [...room.comments, comment] }));
+	});
+
+	eventSource.addEventListener('xcard', (event) => {
+		const { timestamp } = JSON.parse(event.data);
+		roomState.update((room) => ({ ...room, xCardAt: timestamp }));
+		if (handlesXCard(readGameState(), readRoomState())) {
+			playXCard();
+		}
+	});
+}
+
+// ===== ROOM LIFECYCLE =====
+
+function enterRoom(participantId, token, room) {
+	sessionStorage.setItem(SESSION_KEY, JSON.stringify({ code: room.code, participantId, token }));
+
+	roomState.set({
+		...createInitialRoomState(),
+		code: room.code,
+		participantId,
+		token,
+		participants: room.participants,
+		comments: room.comments,
+		status: 'connecting'
+	});
+	applyRemoteState(room.state, room.version);
+	connectEvents(room.code, token);
+	startSync();
+}
+
+function disconnect() {
+	clearTimeout(pushTimer);
+	eventSource?.close();
+	eventSource = null;
+	stopSync?.();
+	stopSync = null;
+}
+
+/**
+ * Open a room around the game in this browser
+ * @param {string} name - Host's display name
+ * @returns {Promise<boolean>} - Success/failure
+ */
+export async function createRoom(name) {
+	roomState.update((room) => ({ ...room, status: 'connecting', error: null }));
+	try {
+		const result = await request('', 'POST', { state: readGameState(), name });
+		if (!result.success) throw new Error(result.error);
+		enterRoom(result.participantId, result.token, result.room);
+		return true;
+	} catch (error) {
+		roomState.set({ ...createInitialRoomState(), error: error.message });
+		return false;
+	}
+}
+
+/**
+ * Join someone else's room. The game in this browser stays in its save
+ * slot; the room's game is played in a fresh one.
+ * @param {string} code - Room code
+ * @param {string} name - Display name
+ * @returns {Promise<boolean>} - Success/failure
+ */
+export async function joinRoom(code, name) {
+	roomState.update((room) => ({ ...room, status: 'connecting', error: null }));
+	try {
+		const result = await request(`/${code.trim().toUpperCase()}`, 'POST', { name });
+		if (!result.success) throw new Error(result.error);
+		startNewSlot();
+		enterRoom(result.participantId, result.token, result.room);
+		return true;
+	} catch (error) {
+		roomState.set({ ...createInitialRoomState(), error: error.message });
+		return false;
+	}
+}
+
+/**
+ * Reconnect to the room this tab was in before a reload
+ * @returns {Promise<boolean>} - Whether a room was resumed
+ */
+export async function resumeRoom() {
+	if (!browser) return false;
+	const saved = JSON.parse(sessionStorage.getItem(SESSION_KEY) || 'null');
+	if (!saved) return false;
+
+	try {
+		const result = await request(`/${saved.code}?token=${encodeURIComponent(saved.token)}`, 'GET');
+		if (!result.success) throw new Error(result.error);
+		enterRoom(saved.participantId, saved.token, result.room);
+		return true;
+	} catch (error) {
+		console.warn('Could not rejoin room:', error.message);
+		sessionStorage.removeItem(SESSION_KEY);
+		return false;
+	}
+}
+
+/**
+ * Leave the room. The game so far stays in this browser's save slot.
+ */
+export function leaveRoom() {
+	disconnect();
+	sessionStorage.removeItem(SESSION_KEY);
+	roomState.set(createInitialRoomState());
+}
+
+/**
+ * Play one of the roster's seats, or pass null to spectate
+ * @param {string|null} playerId - Player id from gameState.players
+ * @returns {Promise<boolean>} - Success/failure
+ */
+export async function takeSeat(playerId) {
+	const room = readRoomState();
+	const result = await request(`/${room.code}`, 'PATCH', {
+		token: room.token,
+		playerId
+	});
+	if (!result.success) {
+		roomState.update((current) => ({ ...current, error: result.error }));
+	}
+	return result.success;
+}
+
+/**
+ * Post a comment to the room
+ * @param {string} text - Comment text
+ * @returns {Promise<boolean>} - Success/failure
+ */
+export async function postComment(text) {
+	if (!text.trim()) return false;
+	const room = readRoomState();
+	const result = await request(`/${room.code}/comments`, 'POST', {
+		token: room.token,
+		text
+	});
+	if (!result.success) {
+		roomState.update((current) => ({ ...current, error: result.error }));
+	}
+	return result.success;
+}
+
+/**
+ * Tap the X-card for everyone in the room
+ * @returns {Promise<boolean>} - Success/failure
+ */
+export async function sendXCard() {
+	const room = readRoomState();
+	const result = await request(`/${room.code}/x-card`, 'POST', { token: room.token });
+	if (!result.success) {
+		roomState.update((current) => ({ ...current, error: result.error }));
+	}
+	return result.success;
+}
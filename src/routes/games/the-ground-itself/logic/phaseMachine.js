@@ -0,0 +1,250 @@
+// src/routes/games/the-ground-itself/logic/phaseMachine.js
+
+/**
+ * GAME PHASE STATE MACHINE
+ *
+ * Every change of currentPhase, turnState, tensDrawn and currentCycle
+ * is a transition declared in MACHINE below. DO NOT set those fields
+ * anywhere else - gameActions.js sends events through transition().
+ *
+ * How it works:
+ * - A phase lists the events it accepts under `on`. mainPlay also has
+ *   turn states, each with their own `on`, checked before the phase's
+ * - An event maps to one transition, or to a list tried in order where
+ *   the first whose guard passes wins
+ * - A transition may name a target phase and/or turn state, and an
+ *   `action` returning fields to change along the way
+ * - Entering a phase runs its `entry` after the transition's action
+ * - An event with no passing transition throws PhaseTransitionError
+ *
+ * Everything here is pure (state in, state out) so it can be exercised
+ * headlessly without the stores or a browser.
+ */
+
+import { getCycleCount, skipsFaceCards, allowsFocusedSituations } from './variants.js';
+
+export const EVENTS = {
+	START_GAME: 'START_GAME', // intro -> timeline roll
+	ACCEPT_TIMELINE: 'ACCEPT_TIMELINE', // timeline -> face card setup, or straight to play
+	FINISH_SETUP: 'FINISH_SETUP', // last face card answered -> main play
+	DRAW_CARD: 'DRAW_CARD', // a numbered card was drawn
+	DRAW_TEN: 'DRAW_TEN', // a ten was drawn - time gap, or the end on the last one
+	ANSWER: 'ANSWER', // answer the card's question
+	CHOOSE_SITUATION: 'CHOOSE_SITUATION', // play a focused situation instead
+	BACK: 'BACK', // back to the answer/situation choice
+	FINISH_TURN: 'FINISH_TURN', // answer or situation submitted
+	X_CARD: 'X_CARD', // the X-card set the drawn card aside (the same player draws again) or a time gap's ten-card prompt
+	COMPLETE_TIME_GAP: 'COMPLETE_TIME_GAP' // time gap questions answered -> next cycle
+};
+
+/**
+ * Thrown when an event isn't allowed from the current phase and turn state
+ */
+export class PhaseTransitionError extends Error {
+	/**
+	 * @param {string} message - Human-readable description
+	 * @param {Object} details
+	 * @param {string} details.event - Rejected event
+	 * @param {string} details.phase - Phase it was sent in
+	 * @param {string} [details.turnState] - Turn state it was sent in
+	 */
+	constructor(message, { event, phase, turnState } = {}) {
+		super(message);
+		this.name = 'PhaseTransitionError';
+		this.code = 'illegal_transition';
+		this.event = event;
+		this.phase = phase;
+		this.turnState = turnState;
+	}
+}
+
+// ===== GUARDS =====
+
+const hasTimeline = (state) => Boolean(state.timelineUnit);
+const faceCardsExhausted = (state) =>
+	Boolean(state.currentFaceCard) && state.faceCardDeck.length === 0;
+const drewNumberedCard = (state) => Boolean(state.activeCard) && state.activeCard.rank !== 'ten';
+const drewTen = (state) => state.activeCard?.rank === 'ten';
+// The variant's cycle count says which ten ends the game (the rulebook's fourth)
+const drewLastTen = (state) => drewTen(state) && state.tensDrawn + 1 >= getCycleCount(state);
+const skipsSetup = (state) => hasTimeline(state) && skipsFaceCards(state);
+const tenCardPromptOpen = (state) => !state.tenCardSetAside;
+
+// ===== ACTIONS =====
+
+const countTen = (state) => ({ tensDrawn: state.tensDrawn + 1 });
+const clearActiveCard = () => ({ activeCard: null });
+// The card's question is used up so it isn't asked again, and the turn
+// goes back to whoever drew it
+const setAsideCard = (state) => ({
+	activeCard: null,
+	cardRankCounts: {
+		...state.cardRankCounts,
+		[state.activeCard.rank]: (state.cardRankCounts[state.activeCard.rank] || 0) + 1
+	},
+	currentPlayerIndex:
+		state.players.length > 0
+			? (state.currentPlayerIndex - 1 + state.players.length) % state.players.length
+			: -1
+});
+
+// ===== MACHINE =====
+
+const MACHINE = {
+	intro: {
+		on: {
+			START_GAME: { phase: 'setup-timeline' }
+		}
+	},
+
+	'setup-timeline': {
+		on: {
+			ACCEPT_TIMELINE: [
+				{ phase: 'mainPlay', guard: skipsSetup },
+				{ phase: 'setup-place', guard: hasTimeline }
+			]
+		}
+	},
+
+	'setup-place': {
+		on: {
+			FINISH_SETUP: {
+				phase: 'mainPlay',
+				guard: faceCardsExhausted,
+				action: () => ({ faceCardsComplete: true })
+			}
+		}
+	},
+
+	mainPlay: {
+		// Every cycle opens with a draw
+		entry: () => ({ turnState: 'drawing', activeCard: null }),
+		turns: {
+			drawing: {
+				on: {
+					DRAW_CARD: { turnState: 'deciding', guard: drewNumberedCard },
+					DRAW_TEN: [
+						{ phase: 'end', guard: drewLastTen, action: countTen },
+						{ phase: 'timeGap', guard: drewTen, action: countTen }
+					]
+				}
+			},
+			deciding: {
+				on: {
+					ANSWER: { turnState: 'answering' },
+					CHOOSE_SITUATION: { turnState: 'focusedSituation', guard: allowsFocusedSituations },
+					X_CARD: { turnState: 'drawing', action: setAsideCard }
+				}
+			},
+			answering: {
+				on: {
+					BACK: { turnState: 'deciding' },
+					FINISH_TURN: { turnState: 'drawing', action: clearActiveCard },
+					X_CARD: { turnState: 'drawing', action: setAsideCard }
+				}
+			},
+			focusedSituation: {
+				on: {
+					BACK: { turnState: 'deciding' },
+					FINISH_TURN: { turnState: 'drawing', action: clearActiveCard },
+					X_CARD: { turnState: 'drawing', action: setAsideCard }
+				}
+			}
+		}
+	},
+
+	timeGap: {
+		// Each gap opens with a ten-card prompt to pick and answer
+		entry: () => ({ tenCardSetAside: false }),
+		on: {
+			// The table skips the ten-card prompt and goes straight to the roll
+			X_CARD: { guard: tenCardPromptOpen, action: () => ({ tenCardSetAside: true }) },
+			COMPLETE_TIME_GAP: {
+				phase: 'mainPlay',
+				action: (state) => ({ currentCycle: state.currentCycle + 1 })
+			}
+		}
+	},
+
+	end: {
+		on: {}
+	}
+};
+
+// ===== RUNNING EVENTS =====
+
+function asList(candidates) {
+	if (!candidates) return [];
+	return Array.isArray(candidates) ? candidates : [candidates];
+}
+
+/**
+ * Transitions an event could take from this state, turn state's first
+ */
+function getCandidates(state, event) {
+	const phase = MACHINE[state.currentPhase];
+	if (!phase) return [];
+	const turn = phase.turns?.[state.turnState];
+	return [...asList(turn?.on?.[event]), ...asList(phase.on?.[event])];
+}
+
+function findTransition(state, event) {
+	return getCandidates(state, event).find(
+		(candidate) => !candidate.guard || candidate.guard(state)
+	);
+}
+
+/**
+ * Whether an event would be accepted right now
+ * @param {Object} state - gameState value
+ * @param {string} event - One of EVENTS
+ * @returns {boolean}
+ */
+export function canTransition(state, event) {
+	return Boolean(findTransition(state, event));
+}
+
+/**
+ * Events accepted from the current phase and turn state
+ * @param {Object} state - gameState value
+ * @returns {string[]}
+ */
+export function getAvailableEvents(state) {
+	return Object.values(EVENTS).filter((event) => canTransition(state, event));
+}
+
+/**
+ * Apply an event to a game state
+ * @param {Object} state - gameState value
+ * @param {string} event - One of EVENTS
+ * @returns {Object} - The next game state (the input is not modified)
+ * @throws {PhaseTransitionError} - If the event isn't allowed right now
+ */
+export function transition(state, event) {
+	const next = findTransition(state, event);
+	if (!next) {
+		const where = MACHINE[state.currentPhase]?.turns
+			? `${state.currentPhase}/${state.turnState}`
+			: state.currentPhase;
+		throw new PhaseTransitionError(`${event} is not allowed during ${where}`, {
+			event,
+			phase: state.currentPhase,
+			turnState: state.turnState
+		});
+	}
+
+	let nextState = { ...state, ...(next.action ? next.action(state) : {}) };
+
+	if (next.phase && next.phase !== state.currentPhase) {
+		nextState.currentPhase = next.phase;
+		const entry = MACHINE[next.phase].entry;
+		if (entry) {
+			nextState = { ...nextState, ...entry(nextState) };
+		}
+	}
+	if (next.turnState) {
+		nextState.turnState = next.turnState;
+	}
+
+	return nextState;
+}
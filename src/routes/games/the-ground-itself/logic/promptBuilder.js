@@ -1,18 +1,32 @@
 // src/routes/games/the-ground-itself/logic/promptBuilder.js
 
+import { dev } from '$app/environment';
 import { imageStyleOptions } from '../data.js';
+import { buildLocalSummary, compactHistory, formatSummary } from './storySummary.js';
+import { formatCodexForPrompt } from './codex.js';
+import {
+	PROMPT_TEMPLATES,
+	SAMPLE_TEMPLATE_VALUES,
+	getPromptTemplate,
+	renderPromptTemplate,
+	validatePromptTemplate
+} from './promptTemplates.js';
 
 /**
  * SIMPLE TEMPLATE-BASED PROMPT BUILDER
  *
  * This system uses simple, predictable templates instead of complex logic.
- * Each game phase has its own template function that produces consistent,
- * testable prompts that match the game's specifications exactly.
+ * Each game phase has its own text template (see promptTemplates.js) that
+ * produces consistent, testable prompts that match the game's specifications
+ * exactly. Games can override the templates from the prompt lab.
  */
 
+// Opens the lines-and-veils block the server appends once the prompt has been screened
+const CONTENT_LIMITS_HEADING = 'CONTENT LIMITS';
+
 // Configuration for the new simple system
 const CONFIG = {
-	debugMode: true, // Set to false in production
+	debugMode: dev, // Prompt logging in development builds only
 	defaultStyle: 'atmospheric, digital painting, high detail'
 };
 
@@ -23,63 +37,24 @@ const CONFIG = {
  * @returns {string} - Complete prompt ready for AI image generation
  */
 export function buildImagePrompt(state, options = {}) {
-	const location = state.settingDescription || 'a mysterious place';
-	const style = getImageStyle(state);
 	const currentContext = options.currentContext || {};
+	const templateId = selectTemplate(state, currentContext);
+	const values = buildTemplateValues(state, currentContext);
 
-	let prompt = '';
-
-	// Simple template selection based on game phase and context
-	if (state.currentPhase === 'intro' || state.currentPhase === 'setup-timeline') {
-		// Initial setup - just the place and style
-		prompt = buildInitialSetupPrompt(location, style);
-	} else if (state.currentPhase === 'setup-place') {
-		// Face card setup phase - handle both single and multiple answers
-		if (currentContext.multipleAnswers) {
-			prompt = buildSetupPhasePromptMultiple(location, style, currentContext.multipleAnswers);
-		} else {
-			prompt = buildSetupPhasePrompt(
-				location,
-				style,
-				currentContext.currentQuestion,
-				currentContext.currentAnswer
-			);
-		}
-	} else if (state.currentPhase === 'mainPlay') {
-		// Main gameplay
-		prompt = buildMainGameplayPrompt(
-			location,
-			style,
-			currentContext.currentQuestion,
-			currentContext.currentAnswer
-		);
-	} else if (state.currentPhase === 'timeGap' || currentContext.timeGapInfo) {
-		// Time gap transitions
-		const timeGapInfo = currentContext.timeGapInfo || {};
-		const timeGapAnswers = currentContext.timeGapAnswers || [];
-		prompt = buildTimeGapPrompt(
-			location,
-			style,
-			timeGapInfo.timeAmount,
-			timeGapInfo.timeUnit,
-			timeGapInfo.direction,
-			timeGapAnswers
-		);
-	} else if (state.currentPhase === 'end') {
-		// End game
-		prompt = buildEndGamePrompt(location, style, currentContext.currentAnswer);
-	} else {
-		// Fallback to basic setup
-		prompt = buildInitialSetupPrompt(location, style);
-	}
+	// The table's lines and veils are sent separately - the server appends
+	// them (buildContentLimits) after screening the prompt
+	const prompt = renderPromptTemplate(getPromptTemplate(state, templateId), values);
 
 	// Debug output for testing
 	if (CONFIG.debugMode) {
 		console.log('=== PROMPT BUILDER DEBUG ===');
 		console.log('Phase:', state.currentPhase);
-		console.log('Location:', location);
-		console.log('Style:', style);
+		console.log('Template:', templateId, state.promptTemplates?.[templateId] ? '(override)' : '');
+		console.log('Location:', values.location);
+		console.log('Style:', values.style);
 		console.log('Context:', currentContext);
+		console.log('Story So Far:', values.summary);
+		console.log('Codex:', values.codex);
 		console.log('Generated Prompt:', prompt);
 		console.log('Prompt Length:', prompt.length);
 		console.log('============================');
@@ -89,130 +64,169 @@ export function buildImagePrompt(state, options = {}) {
 }
 
 /**
- * Template 1: Initial Setup
- * Used when first establishing the place with just a stock image
+ * Simple template selection based on game phase and context
+ * @returns {string} - Template id from promptTemplates.js
  */
-function buildInitialSetupPrompt(location, style) {
-	return `This is "The Ground Itself" a storytelling game about a single place over time. Your job is to make these stories come to life by creating the images to these provided descriptions. IMPORTANT: Everything happens in this one location. The camera is anchored to this place and cannot move outside this frame or show events elsewhere. \n
-
-Bring this location choosen by the user to life: ${location}. 
-This image should just be in this style: ${style}.
-
-This first image is just establishing the place. It should be an evocative representation of the location capturing what the player has described while leaving a lot of room for more. This should feel open and ripe for continued story telling. No matter how small the location keep it meteaphorically zoomed out, make it feel big, as to allow the user to see oppurtunity to build on this place and its story.`;
+function selectTemplate(state, currentContext) {
+	if (state.currentPhase === 'intro' || state.currentPhase === 'setup-timeline') {
+		// Initial setup - just the place and style
+		return 'initial';
+	}
+	if (state.currentPhase === 'setup-place') {
+		// Face card setup phase - handle both single and multiple answers
+		return currentContext.multipleAnswers ? 'setupMultiple' : 'setup';
+	}
+	if (state.currentPhase === 'mainPlay') {
+		return 'gameplay';
+	}
+	if (state.currentPhase === 'timeGap' || currentContext.timeGapInfo) {
+		return 'timeGap';
+	}
+	if (state.currentPhase === 'end') {
+		return 'endGame';
+	}
+	// Fallback to basic setup
+	return 'initial';
 }
 
 /**
- * Template 2: Setup Phase (Face Cards)
- * Used during the world-building phase with face card questions
+ * Every placeholder value, with the fallbacks used when the context lacks one.
+ * Each template only uses the ones it lists.
+ * @param {Object} state - Current game state
+ * @param {Object} currentContext - Context options from imageService
+ * @returns {Record<string, string>}
  */
-function buildSetupPhasePrompt(location, style, question, answer) {
-	const questionText = question || 'establishing this place';
-	const answerText = answer || 'building the world';
-
-	return `This is "The Ground Itself" a storytelling game about a single place over time. IMPORTANT: Everything happens in this one location. The camera is anchored to this place and cannot move outside this frame or show events elsewhere. \n
-
-The location or ground itself is ${location}. This image should just be in this style: ${style}. \n
-
-The player is establishing this place. Take this image and modify it while keeping the location consistent according to these recent developments\n
-
-Question: ${questionText} \n
-Answer: ${answerText}`;
+function buildTemplateValues(state, currentContext = {}) {
+	const timeGapInfo = currentContext.timeGapInfo || {};
+	const isFinal = state.currentPhase === 'end';
+
+	return {
+		location: state.settingDescription || 'a mysterious place',
+		style: getImageStyle(state),
+		summary: buildStoryContext(getSummarizedContext(state)),
+		codex: buildCodexContext(formatCodexForPrompt(state.codex)),
+		question:
+			currentContext.currentQuestion ||
+			(state.currentPhase === 'setup-place' ? 'establishing this place' : 'continuing the story'),
+		answer:
+			currentContext.currentAnswer ||
+			(state.currentPhase === 'setup-place'
+				? 'building the world'
+				: isFinal
+					? 'the story concludes'
+					: 'the story continues'),
+		answers: formatAnswerList(currentContext.multipleAnswers || []),
+		timeAmount: String(timeGapInfo.timeAmount || 'some'),
+		timeUnit: timeGapInfo.timeUnit || 'time',
+		direction: timeGapInfo.direction || 'forward',
+		changes: (currentContext.timeGapAnswers || [])
+			.filter((change) => change && change.trim())
+			.join('\n')
+	};
 }
 
 /**
- * Template 2b: Setup Phase with Multiple Answers
- * Used when generating images every 3 answered questions during setup
+ * Numbered question/answer list for the multiple-answer setup template
+ * @param {Array} questionAnswerPairs - Array of {question, answer} objects
  */
-function buildSetupPhasePromptMultiple(location, style, questionAnswerPairs) {
-	let prompt = `This is "The Ground Itself" a storytelling game about a single place over time. IMPORTANT: Everything happens in this one location. The camera is anchored to this place and cannot move outside this frame or show events elsewhere. \n
-
-The location or ground itself is ${location}. This image should just be in this style: ${style}. \n
-
-The player is establishing this place. Take this image and modify it while keeping the location consistent according to these recent developments: \n
-
-`;
-
-	// Add each question/answer pair
-	questionAnswerPairs.forEach((qa, index) => {
-		if (qa && qa.question && qa.answer) {
-			prompt += `${index + 1}. Question: ${qa.question}\n   Answer: ${qa.answer}\n`;
-		}
-	});
-
-	prompt += `\n Incorporate all these elements into the evolving image of this place.`;
-
-	return prompt;
+function formatAnswerList(questionAnswerPairs) {
+	return questionAnswerPairs
+		.map((qa, index) =>
+			qa && qa.question && qa.answer
+				? `${index + 1}. Question: ${qa.question}\n   Answer: ${qa.answer}`
+				: null
+		)
+		.filter(Boolean)
+		.join('\n');
 }
 
 /**
- * Template 3: Main Gameplay
- * Used during the main game with numerical card questions
+ * Context for previewing templates against the current game: the latest
+ * answer, the recent setup answers and the latest time gap
+ * @param {Object} state - Current game state
  */
-function buildMainGameplayPrompt(location, style, question, answer) {
-	const questionText = question || 'continuing the story';
-	const answerText = answer || 'the story continues';
-
-	return `This is "The Ground Itself" a storytelling game about a single place over time. IMPORTANT: Everything happens in this one location. The camera is anchored to this place and cannot move outside this frame or show events elsewhere. \n
-
-The location is ${location}. This image should just be in this style: ${style}. \n
-
-The story continues in this place. Take this image and modify it while keeping the location consistent according to the question and  \n
-
-Question: ${questionText} \n
-Answer: ${answerText}`;
+function getPreviewContext(state) {
+	const history = state.history || [];
+	const lastAnswer = [...history]
+		.reverse()
+		.find((event) => event.question && event.answer && event.type !== 'timeGap');
+	const lastTimeGap = [...history].reverse().find((event) => event.type === 'timeGap');
+
+	return {
+		currentQuestion: lastAnswer?.question,
+		currentAnswer: lastAnswer?.answer,
+		multipleAnswers: state.recentAnswers || [],
+		timeGapInfo: lastTimeGap?.timeGap && {
+			timeAmount: lastTimeGap.timeGap.amount,
+			timeUnit: lastTimeGap.timeGap.unit,
+			direction: lastTimeGap.timeGap.direction
+		},
+		timeGapAnswers: lastTimeGap?.timeGap?.answers?.map((entry) => entry.answer) || []
+	};
 }
 
 /**
- * Template 4: Time Gap Transitions
- * Used when "10" cards trigger time jumps with dramatic changes
+ * Render every template side by side, for the prompt lab
+ * @param {Object} state - Current game state (its overrides and, for 'game', its story)
+ * @param {Object} [options]
+ * @param {'sample'|'game'} [options.source] - Sample story, or the current game's data
+ * @param {Record<string, string>} [options.drafts] - Unsaved template text by id, rendered instead
+ * @returns {Array<{id: string, name: string, description: string, text: string, prompt: string, errors: string[], isOverride: boolean}>}
  */
-function buildTimeGapPrompt(location, style, timeAmount, timeUnit, direction, changes) {
-	const amount = timeAmount || 'some';
-	const unit = timeUnit || 'time';
-	const dir = direction || 'forward';
-
-	let prompt = `This is "The Ground Itself" a storytelling game about a single place over time. IMPORTANT: Everything happens in this one location. The camera is anchored to this place and cannot move outside this frame or show events elsewhere. \n
-
-The location is ${location}. This image should just be in this style: ${style}. \n
-
-This location has just gone through a time gap. Time has moved ${dir} ${amount} ${unit}`;
-
-	// Add all 3 time gap question/answers if provided
-	if (changes && changes.length > 0) {
-		prompt += `
-
-The players have described the changes as such: \n`;
+export function previewPromptTemplates(state, { source = 'sample', drafts = {} } = {}) {
+	const values =
+		source === 'game'
+			? buildTemplateValues(state, getPreviewContext(state))
+			: SAMPLE_TEMPLATE_VALUES;
+
+	return PROMPT_TEMPLATES.map((template) => {
+		const text = drafts[template.id] ?? getPromptTemplate(state, template.id);
+		return {
+			id: template.id,
+			name: template.name,
+			description: template.description,
+			text,
+			prompt: renderPromptTemplate(text, values) + buildContentLimits(state.safety),
+			errors: validatePromptTemplate(template.id, text).errors,
+			isOverride: Boolean(state.promptTemplates?.[template.id])
+		};
+	});
+}
 
-		changes.forEach((change, index) => {
-			if (change && change.trim()) {
-				prompt += `\n${change}`;
-			}
-		});
+/**
+ * Negative constraints from the table's lines and veils, appended to every
+ * prompt by the generate-image route once the prompt has been screened.
+ * Lines must never appear; veils may be part of the story but stay out of frame.
+ * @param {{lines: string[], veils: string[]}} safety - gameState.safety
+ * @returns {string} - Constraint block, or '' when the table set none
+ */
+export function buildContentLimits(safety) {
+	const lines = safety?.lines || [];
+	const veils = safety?.veils || [];
+	if (lines.length === 0 && veils.length === 0) return '';
+
+	let constraints = `\n\n${CONTENT_LIMITS_HEADING} - the players have set these and they override everything above:`;
+	if (lines.length > 0) {
+		constraints += `\nNever depict, show or suggest any of the following, even if the story mentions them: ${lines.join('; ')}.`;
 	}
-
-	prompt += `
-
-\n Remember to keep the camera on the same location from the previous image, it can change drastically or very little but the "camera" is anchored.`;
-
-	return prompt;
+	if (veils.length > 0) {
+		constraints += `\nThese may have happened in the story but must stay off-screen - no direct or graphic depiction, only quiet aftermath if anything: ${veils.join('; ')}.`;
+	}
+	return constraints;
 }
 
 /**
- * Template 5: End Game
- * Used for the final "what happens tomorrow" conclusion
+ * Per-game additions to the negative prompt: the players' own list plus
+ * their lines and veils. The server adds its defaults and passes the
+ * result to providers that support negative prompts.
+ * @param {Object} state - Current game state
+ * @returns {string} - Comma-separated terms, or '' for none
  */
-function buildEndGamePrompt(location, style, finalAnswer) {
-	const answer = finalAnswer || 'the story concludes';
-
-	return `This is "The Ground Itself" a storytelling game about a single place over time. IMPORTANT: Everything happens in this one location. The camera is anchored to this place and cannot move outside this frame or show events elsewhere. \n
-
-The location is ${location}. This image should just be in this style: ${style}. \n
-
-This is the final image of our place. The story concludes with this vision of tomorrow: \n
-
-${answer}
-\n
-Show the ultimate state of this place, keeping the camera anchored to the same location we've been following throughout the entire story.`;
+export function buildNegativePrompt(state) {
+	return [state.imageNegativePrompt, ...(state.safety?.lines || []), ...(state.safety?.veils || [])]
+		.map((term) => (term || '').trim())
+		.filter(Boolean)
+		.join(', ');
 }
 
 /**
@@ -251,52 +265,27 @@ export function generateMockImageUrl(prompt) {
 	return `https://via.placeholder.com/800x600/4a5568/ffffff?text=${encodedPrompt}`;
 }
 
+// Template names accepted by testSingleTemplate, from before templates had ids
+const TEST_TEMPLATE_NAMES = {
+	initial: 'initial',
+	setup: 'setup',
+	gameplay: 'gameplay',
+	timegap: 'timeGap',
+	endgame: 'endGame'
+};
+
 /**
  * Enhanced testing function - shows all templates with sample data
- * Perfect for copying prompts to test in AI image playgrounds
+ * Perfect for copying prompts to test in AI image playgrounds.
+ * The prompt lab page shows the same side by side.
  */
 export function testAllTemplates() {
 	console.log('=== TEMPLATE TESTING SUITE ===');
 
-	const sampleLocation = 'an ancient library built into the roots of a massive oak tree';
-	const sampleStyle = 'atmospheric, digital painting, high detail';
-	const sampleQuestion = 'What stories are told in or about this place?';
-	const sampleAnswer =
-		'The library holds ancient tales of the Tree Keepers who first planted this oak centuries ago.';
-
-	console.log('\n1. INITIAL SETUP TEMPLATE:');
-	console.log(buildInitialSetupPrompt(sampleLocation, sampleStyle));
-
-	console.log('\n2. SETUP PHASE TEMPLATE:');
-	console.log(buildSetupPhasePrompt(sampleLocation, sampleStyle, sampleQuestion, sampleAnswer));
-
-	console.log('\n3. MAIN GAMEPLAY TEMPLATE:');
-	console.log(
-		buildMainGameplayPrompt(
-			sampleLocation,
-			sampleStyle,
-			'What are the plants like?',
-			'Moss covers the ancient bark, glowing softly in the dim light.'
-		)
-	);
-
-	console.log('\n4. TIME GAP TEMPLATE:');
-	console.log(
-		buildTimeGapPrompt(sampleLocation, sampleStyle, 5, 'centuries', 'forward', [
-			'The library is now ruins, but new trees have grown',
-			'The books have turned to dust, but their knowledge lives in the wind',
-			'Visitors still come seeking wisdom from the ancient place'
-		])
-	);
-
-	console.log('\n5. END GAME TEMPLATE:');
-	console.log(
-		buildEndGamePrompt(
-			sampleLocation,
-			sampleStyle,
-			"Tomorrow, the first new seedling will sprout from the old oak's roots, beginning the cycle anew."
-		)
-	);
+	PROMPT_TEMPLATES.forEach((template, index) => {
+		console.log(`\n${index + 1}. ${template.name.toUpperCase()} TEMPLATE:`);
+		console.log(renderPromptTemplate(template.text, SAMPLE_TEMPLATE_VALUES));
+	});
 
 	console.log('\n===============================');
 
@@ -306,46 +295,15 @@ export function testAllTemplates() {
 /**
  * Simple prompt testing function for individual templates
  * @param {string} templateName - Which template to test
- * @param {Object} params - Parameters for the template
+ * @param {Object} params - Placeholder values, over the sample story
  */
 export function testSingleTemplate(templateName, params = {}) {
-	const defaults = {
-		location: 'a mysterious place',
-		style: 'atmospheric, digital painting, high detail',
-		question: 'What is this place like?',
-		answer: 'It is full of wonder and mystery.'
-	};
+	const templateId = TEST_TEMPLATE_NAMES[templateName] || templateName;
+	const template = PROMPT_TEMPLATES.find((candidate) => candidate.id === templateId);
 
-	const p = { ...defaults, ...params };
-
-	let result = '';
-
-	switch (templateName) {
-		case 'initial':
-			result = buildInitialSetupPrompt(p.location, p.style);
-			break;
-		case 'setup':
-			result = buildSetupPhasePrompt(p.location, p.style, p.question, p.answer);
-			break;
-		case 'gameplay':
-			result = buildMainGameplayPrompt(p.location, p.style, p.question, p.answer);
-			break;
-		case 'timegap':
-			result = buildTimeGapPrompt(
-				p.location,
-				p.style,
-				p.timeAmount,
-				p.timeUnit,
-				p.direction,
-				p.changes
-			);
-			break;
-		case 'endgame':
-			result = buildEndGamePrompt(p.location, p.style, p.answer);
-			break;
-		default:
-			result = 'Unknown template. Use: initial, setup, gameplay, timegap, endgame';
-	}
+	const result = template
+		? renderPromptTemplate(template.text, { ...SAMPLE_TEMPLATE_VALUES, ...params })
+		: `Unknown template. Use: ${PROMPT_TEMPLATES.map((candidate) => candidate.id).join(', ')}`;
 
 	console.log(`=== ${templateName.toUpperCase()} TEMPLATE TEST ===`);
 	console.log(result);
@@ -356,15 +314,37 @@ export function testSingleTemplate(templateName, params = {}) {
 }
 
 /**
- * Future enhancement hook - LLM summarization support
- * This will be used to create condensed narrative context
+ * The story so far, condensed for prompt inclusion
+ * Uses the summary cached by summaryService.js when it covers the latest
+ * event, otherwise summarizes locally so prompts never wait on the network.
+ * @param {Object} state - Current game state
+ * @returns {string} - Summary text, or '' before anything has happened
  */
 export function getSummarizedContext(state) {
-	// TODO: Implement LLM summarization
-	// - Summarize setup phase answers into 1 sentence
-	// - Summarize each cycle into brief narrative
-	// - Return condensed context for prompt inclusion
+	const history = state.history || [];
+	const lastEvent = history[history.length - 1];
+	if (!lastEvent) return '';
 
-	// For now, return empty string
-	return '';
+	if (state.storySummary?.basedOn === lastEvent.id) {
+		return formatSummary(state.storySummary);
+	}
+	return formatSummary(buildLocalSummary(state.settingDescription, compactHistory(history)));
+}
+
+/**
+ * Story-so-far block shared by every template after the first image
+ * @param {string} storyContext - Output of getSummarizedContext
+ */
+function buildStoryContext(storyContext) {
+	if (!storyContext) return '';
+	return `\nWhat has happened in this place so far (keep the image consistent with it):\n${storyContext}\n`;
+}
+
+/**
+ * Codex block that follows the story so far, so recurring things look the same in every image
+ * @param {string} codexText - Output of formatCodexForPrompt
+ */
+function buildCodexContext(codexText) {
+	if (!codexText) return '';
+	return `\nRecurring in this place - draw them the same way every time they appear:\n${codexText}\n`;
 }
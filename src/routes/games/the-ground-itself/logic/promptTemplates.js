@@ -0,0 +1,232 @@
+// src/routes/games/the-ground-itself/logic/promptTemplates.js
+
+/**
+ * IMAGE PROMPT TEMPLATES
+ *
+ * Every image prompt is rendered from a plain-text template with named
+ * placeholders such as {{location}} or {{answer}}. The defaults below can
+ * be overridden per game (gameState.promptTemplates, edited in the prompt
+ * lab) to tune art direction without code changes.
+ *
+ * promptBuilder.js picks the template for the moment and fills in the
+ * values. The table's lines and veils are appended after the template, so
+ * no override can drop them.
+ *
+ * Pure functions only.
+ */
+
+const SHARED_PLACEHOLDERS = {
+	location: 'The place, as the players described it',
+	style: 'Image style chosen at setup',
+	summary: 'The story so far (empty before anything has happened)',
+	codex: 'Recurring people, landmarks and names from the codex (empty while the codex is)'
+};
+
+const PREAMBLE = `This is "The Ground Itself" a storytelling game about a single place over time. IMPORTANT: Everything happens in this one location. The camera is anchored to this place and cannot move outside this frame or show events elsewhere. \n`;
+
+/**
+ * The built-in templates, in the order they come up in a game
+ */
+export const PROMPT_TEMPLATES = [
+	{
+		id: 'initial',
+		name: 'Initial setup',
+		description: 'The first image, establishing the place',
+		placeholders: { location: SHARED_PLACEHOLDERS.location, style: SHARED_PLACEHOLDERS.style },
+		text: `This is "The Ground Itself" a storytelling game about a single place over time. Your job is to make these stories come to life by creating the images to these provided descriptions. IMPORTANT: Everything happens in this one location. The camera is anchored to this place and cannot move outside this frame or show events elsewhere. \n
+
+Bring this location choosen by the user to life: {{location}}. 
+This image should just be in this style: {{style}}.
+
+This first image is just establishing the place. It should be an evocative representation of the location capturing what the player has described while leaving a lot of room for more. This should feel open and ripe for continued story telling. No matter how small the location keep it meteaphorically zoomed out, make it feel big, as to allow the user to see oppurtunity to build on this place and its story.`
+	},
+	{
+		id: 'setup',
+		name: 'Setup phase',
+		description: 'A single face card answer',
+		placeholders: {
+			...SHARED_PLACEHOLDERS,
+			question: 'The face card question',
+			answer: "The players' answer"
+		},
+		text: `${PREAMBLE}
+
+The location or ground itself is {{location}}. This image should just be in this style: {{style}}. \n
+{{summary}}{{codex}}
+The player is establishing this place. Take this image and modify it while keeping the location consistent according to these recent developments\n
+
+Question: {{question}} \n
+Answer: {{answer}}`
+	},
+	{
+		id: 'setupMultiple',
+		name: 'Setup phase (several answers)',
+		description: 'The image made after every few face card answers',
+		placeholders: {
+			...SHARED_PLACEHOLDERS,
+			answers: 'The recent questions and answers as a numbered list'
+		},
+		text: `${PREAMBLE}
+
+The location or ground itself is {{location}}. This image should just be in this style: {{style}}. \n
+{{summary}}{{codex}}
+The player is establishing this place. Take this image and modify it while keeping the location consistent according to these recent developments: \n
+
+{{answers}}
+\n Incorporate all these elements into the evolving image of this place.`
+	},
+	{
+		id: 'gameplay',
+		name: 'Main gameplay',
+		description: 'A numbered card answer or focused situation',
+		placeholders: {
+			...SHARED_PLACEHOLDERS,
+			question: "The card's question",
+			answer: "The players' answer"
+		},
+		text: `${PREAMBLE}
+
+The location is {{location}}. This image should just be in this style: {{style}}. \n
+{{summary}}{{codex}}
+The story continues in this place. Take this image and modify it while keeping the location consistent according to the question and  \n
+
+Question: {{question}} \n
+Answer: {{answer}}`
+	},
+	{
+		id: 'timeGap',
+		name: 'Time gap',
+		description: 'After a ten, once the players describe what changed',
+		placeholders: {
+			...SHARED_PLACEHOLDERS,
+			timeAmount: 'How much time passed, e.g. 5',
+			timeUnit: 'The timeline unit, e.g. centuries',
+			direction: 'forward or backward',
+			changes: 'What the players said changed, one answer per line'
+		},
+		text: `${PREAMBLE}
+
+The location is {{location}}. This image should just be in this style: {{style}}. \n
+{{summary}}{{codex}}
+This location has just gone through a time gap. Time has moved {{direction}} {{timeAmount}} {{timeUnit}}
+
+The players have described the changes as such: \n
+{{changes}}
+
+\n Remember to keep the camera on the same location from the previous image, it can change drastically or very little but the "camera" is anchored.`
+	},
+	{
+		id: 'endGame',
+		name: 'End game',
+		description: 'The final "what happens tomorrow" answer',
+		placeholders: {
+			...SHARED_PLACEHOLDERS,
+			answer: 'What happens tomorrow'
+		},
+		text: `${PREAMBLE}
+
+The location is {{location}}. This image should just be in this style: {{style}}. \n
+{{summary}}{{codex}}
+This is the final image of our place. The story concludes with this vision of tomorrow: \n
+
+{{answer}}
+\n
+Show the ultimate state of this place, keeping the camera anchored to the same location we've been following throughout the entire story.`
+	}
+];
+
+/**
+ * Sample story for previewing templates outside a game
+ */
+export const SAMPLE_TEMPLATE_VALUES = {
+	location: 'an ancient library built into the roots of a massive oak tree',
+	style: 'atmospheric, digital painting, high detail',
+	summary:
+		'\nWhat has happened in this place so far (keep the image consistent with it):\nThe Tree Keepers planted the oak and carved the first shelves into its roots.\n',
+	codex:
+		'\nRecurring in this place - draw them the same way every time they appear:\nThe place is called Rootdeep.\n- The Reading Hollow (landmark): a round chamber in the largest root, lit by glowing moss\n',
+	question: 'What stories are told in or about this place?',
+	answer:
+		'The library holds ancient tales of the Tree Keepers who first planted this oak centuries ago.',
+	answers:
+		'1. Question: What are the plants like?\n   Answer: Moss covers the ancient bark, glowing softly in the dim light.\n2. Question: Who comes here?\n   Answer: Scholars who travel for weeks to read by mosslight.',
+	timeAmount: '5',
+	timeUnit: 'centuries',
+	direction: 'forward',
+	changes:
+		'The library is now ruins, but new trees have grown\nThe books have turned to dust, but their knowledge lives in the wind\nVisitors still come seeking wisdom from the ancient place'
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+function formatPlaceholder(name) {
+	return `{{${name}}}`;
+}
+
+/**
+ * @param {string} id - Template id
+ * @returns {Object|null} - The built-in template definition
+ */
+export function getPromptTemplateDefinition(id) {
+	return PROMPT_TEMPLATES.find((template) => template.id === id) || null;
+}
+
+/**
+ * The template text a game uses - its override, or the built-in default
+ * @param {Object} state - Game state (reads state.promptTemplates)
+ * @param {string} id - Template id
+ * @returns {string}
+ */
+export function getPromptTemplate(state, id) {
+	const override = state?.promptTemplates?.[id];
+	if (typeof override === 'string' && override.trim()) return override;
+	return getPromptTemplateDefinition(id)?.text || '';
+}
+
+/**
+ * Placeholder names used in a template, in order of first use
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function findPlaceholders(text) {
+	return [...new Set([...text.matchAll(PLACEHOLDER_PATTERN)].map((match) => match[1]))];
+}
+
+/**
+ * Check template text before it is saved as an override
+ * @param {string} id - Template id
+ * @param {string} text - Template text
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validatePromptTemplate(id, text) {
+	const definition = getPromptTemplateDefinition(id);
+	if (!definition) {
+		return { valid: false, errors: [`Unknown prompt template: ${id}`] };
+	}
+
+	const errors = [];
+	if (typeof text !== 'string' || !text.trim()) {
+		errors.push('A template cannot be empty.');
+	} else {
+		const unknown = findPlaceholders(text).filter((name) => !(name in definition.placeholders));
+		if (unknown.length > 0) {
+			const available = Object.keys(definition.placeholders).map(formatPlaceholder);
+			errors.push(
+				`${definition.name} has no ${unknown.map(formatPlaceholder).join(', ')}. Available: ${available.join(', ')}.`
+			);
+		}
+	}
+
+	return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Fill in a template's placeholders. Values are inserted as-is - text the
+ * players wrote is never read as placeholders. Unknown names render empty.
+ * @param {string} text - Template text
+ * @param {Record<string, string|number>} values
+ * @returns {string}
+ */
+export function renderPromptTemplate(text, values) {
+	return text.replace(PLACEHOLDER_PATTERN, (_, name) => String(values[name] ?? ''));
+}
@@ -0,0 +1,87 @@
+// src/routes/games/the-ground-itself/logic/random.js
+
+/**
+ * SEEDABLE RANDOMNESS
+ *
+ * Every shuffle and die roll in the game draws from a generator derived
+ * from the game's seed plus what is being randomised (e.g. "numerical-deck"
+ * or "time-gap:2"). The same seed therefore always gives the same decks and
+ * rolls, regardless of reloads, undo, or the order things happen in - which
+ * lets us reproduce bug reports, replay published games, and have two tables
+ * play "the same deck".
+ *
+ * All functions return a generator with the same contract as Math.random:
+ * a float in [0, 1).
+ */
+
+/**
+ * Hash a string to a 32-bit unsigned integer (FNV-1a)
+ * @param {string} text - Text to hash
+ * @returns {number} - 32-bit hash
+ */
+function hashString(text) {
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < text.length; i++) {
+		hash ^= text.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return hash >>> 0;
+}
+
+/**
+ * Create a deterministic generator from a seed string (mulberry32)
+ * @param {string} seed - Any string
+ * @returns {Function} - Generator returning floats in [0, 1)
+ */
+export function createRng(seed) {
+	let a = hashString(String(seed));
+	return function () {
+		a = (a + 0x6d2b79f5) | 0;
+		let t = Math.imul(a ^ (a >>> 15), 1 | a);
+		t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+/**
+ * Get the generator for one purpose within a game.
+ * Games without a seed (older saves) fall back to Math.random.
+ * @param {string|null} seed - The game's seed
+ * @param {string} purpose - What is being randomised, e.g. 'face-cards' or 'time-gap:1'
+ * @returns {Function} - Generator returning floats in [0, 1)
+ */
+export function getRng(seed, purpose) {
+	return seed ? createRng(`${seed}:${purpose}`) : Math.random;
+}
+
+/**
+ * Create a new random seed that's easy to read aloud and type
+ * @returns {string} - e.g. 'k3v9-q2xa'
+ */
+export function createSeed() {
+	const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+	let seed = '';
+	for (let i = 0; i < 8; i++) {
+		if (i === 4) seed += '-';
+		seed += alphabet[Math.floor(Math.random() * alphabet.length)];
+	}
+	return seed;
+}
+
+/**
+ * Create an id for a new game. Unlike the seed it is never shared or
+ * replayed, so two games with the same seed still count separately.
+ * @returns {string} - e.g. 'game-lx2k9f3a-4h7q2c'
+ */
+export function createGameId() {
+	return `game-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Normalise a user-entered seed so stray spaces and case don't change the game
+ * @param {string} seed - Seed as typed
+ * @returns {string} - Normalised seed ('' if blank)
+ */
+export function normalizeSeed(seed) {
+	return (seed || '').trim().toLowerCase();
+}
@@ -0,0 +1,215 @@
+// src/routes/games/the-ground-itself/logic/rulebook.js
+
+/**
+ * RULES REFERENCE
+ *
+ * The bundled rulebook (ground_itself_plaintext.txt) split into sections
+ * for the rules drawer. A section looks like:
+ *
+ *   { id, title, group, optional, paragraphs: [string] }
+ *
+ * - id:       slug of the rulebook's own heading, e.g. 'focused-situations',
+ *             'our-timeline', 'after-every-cycle' - used for deep links
+ * - group:    'Card questions' for the per-rank question lists, else null
+ * - optional: headings the rulebook marks "(optional)"
+ *
+ * Parsing and searching are pure functions; openRules()/closeRules() drive
+ * the drawer through the rulesDrawer store.
+ */
+
+import rulebookText from '../ground_itself_plaintext.txt?raw';
+import { rulesDrawer } from '../stores.js';
+
+const SECTION_SEPARATOR = /\n-{10,}\s*\n/;
+const RANK_HEADING = /^(Aces|Twos|Threes|Fours|Fives|Sixes|Sevens|Eights|Nines|Tens)-\s*$/;
+const MIN_TERM_LENGTH = 2;
+// Too common to narrow a search down
+const STOP_WORDS = new Set(['the', 'and', 'of', 'to', 'in', 'or', 'is', 'it', 'an', 'on', 'for']);
+const MAX_SNIPPETS = 2;
+
+function slugify(title) {
+	return title
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, '-')
+		.replace(/^-|-$/g, '');
+}
+
+function toSection(heading, lines, group = null) {
+	const optional = /\(optional\)/i.test(heading);
+	const title = heading
+		.replace(/\(optional\)/i, '')
+		.replace(/[\s:;-]+$/, '')
+		.trim();
+	return {
+		id: slugify(title),
+		title,
+		group,
+		optional,
+		paragraphs: lines.map((line) => line.trim()).filter(Boolean)
+	};
+}
+
+/**
+ * Split rulebook text into sections. Sections are separated by rows of
+ * dashes and start with their heading; the card questions block is split
+ * further, one section per rank.
+ * @param {string} text - Plain text rulebook
+ * @returns {Array<{id: string, title: string, group: string|null, optional: boolean, paragraphs: string[]}>}
+ */
+export function parseRulebook(text) {
+	const sections = [];
+	const blocks = text.replace(/\r\n/g, '\n').split(SECTION_SEPARATOR);
+
+	blocks.forEach((block, index) => {
+		const lines = block.split('\n').filter((line) => line.trim());
+		if (lines.length === 0) return;
+
+		// The title page has the game's name as its heading
+		if (index === 0) {
+			sections.push(toSection('About the game', lines.slice(1)));
+			return;
+		}
+
+		if (!RANK_HEADING.test(lines[0])) {
+			sections.push(toSection(lines[0], lines.slice(1)));
+			return;
+		}
+
+		let heading = null;
+		let body = [];
+		for (const line of lines) {
+			if (RANK_HEADING.test(line)) {
+				if (heading) sections.push(toSection(heading, body, 'Card questions'));
+				heading = line;
+				body = [];
+			} else {
+				body.push(line);
+			}
+		}
+		if (heading) sections.push(toSection(heading, body, 'Card questions'));
+	});
+
+	return sections;
+}
+
+export const RULEBOOK = parseRulebook(rulebookText);
+
+/**
+ * Look up a section by id
+ * @param {string} id
+ * @param {Array} [sections] - Defaults to the bundled rulebook
+ * @returns {Object|null}
+ */
+export function getRuleSection(id, sections = RULEBOOK) {
+	return sections.find((section) => section.id === id) || null;
+}
+
+/**
+ * Section with the questions for a card rank
+ * @param {string} rank - Card rank, e.g. 'six'
+ * @returns {string|null} - Section id, e.g. 'sixes'
+ */
+export function getRankSectionId(rank) {
+	const id = rank === 'six' ? 'sixes' : `${rank}s`;
+	return getRuleSection(id) ? id : null;
+}
+
+// ===== SEARCH =====
+
+/**
+ * The words of a search, lowercased, ignoring very short and very common ones
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function getSearchTerms(query = '') {
+	return [
+		...new Set(
+			query
+				.toLowerCase()
+				.split(/\s+/)
+				.map((term) => term.replace(/^[^\w]+|[^\w]+$/g, ''))
+				.filter((term) => term.length >= MIN_TERM_LENGTH && !STOP_WORDS.has(term))
+		)
+	];
+}
+
+function countOccurrences(text, term) {
+	let count = 0;
+	for (let at = text.indexOf(term); at !== -1; at = text.indexOf(term, at + term.length)) {
+		count++;
+	}
+	return count;
+}
+
+/**
+ * Sections containing every word of a search, best match first. Words
+ * in a heading, and the search as a whole phrase, count for more than
+ * words scattered through the text.
+ * @param {string} query
+ * @param {Array} [sections] - Defaults to the bundled rulebook
+ * @returns {Array<{section: Object, snippets: string[]}>} - Snippets are the first matching paragraphs
+ */
+export function searchRulebook(query, sections = RULEBOOK) {
+	const terms = getSearchTerms(query);
+	if (terms.length === 0) return [];
+	const phrase = query.toLowerCase().trim().replace(/\s+/g, ' ');
+
+	return sections
+		.map((section) => {
+			const title = section.title.toLowerCase();
+			const body = section.paragraphs.join('\n').toLowerCase();
+			if (!terms.every((term) => title.includes(term) || body.includes(term))) return null;
+
+			const score = terms.reduce(
+				(total, term) => total + countOccurrences(title, term) * 10 + countOccurrences(body, term),
+				countOccurrences(body, phrase) * 5
+			);
+			const snippets = section.paragraphs
+				.filter((paragraph) => terms.some((term) => paragraph.toLowerCase().includes(term)))
+				.slice(0, MAX_SNIPPETS);
+			return { section, snippets, score };
+		})
+		.filter(Boolean)
+		.sort((a, b) => b.score - a.score)
+		.map(({ section, snippets }) => ({ section, snippets }));
+}
+
+/**
+ * Split text into plain and highlighted runs for a search, so components
+ * can mark matches without rendering HTML
+ * @param {string} text
+ * @param {string} query
+ * @returns {Array<{text: string, match: boolean}>}
+ */
+export function highlightMatches(text, query) {
+	const terms = getSearchTerms(query);
+	if (terms.length === 0) return [{ text, match: false }];
+
+	const pattern = new RegExp(
+		`(${terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`,
+		'gi'
+	);
+	return text
+		.split(pattern)
+		.filter(Boolean)
+		.map((part) => ({ text: part, match: terms.includes(part.toLowerCase()) }));
+}
+
+// ===== DRAWER =====
+
+/**
+ * Open the rules drawer, optionally at a section or with a search filled in
+ * @param {string|null} [sectionId] - Section to show, e.g. 'focused-situations'
+ * @param {string} [query] - Search to start with
+ */
+export function openRules(sectionId = null, query = '') {
+	rulesDrawer.set({
+		open: true,
+		sectionId: sectionId && getRuleSection(sectionId) ? sectionId : null,
+		query
+	});
+}
+
+export function closeRules() {
+	rulesDrawer.update((drawer) => ({ ...drawer, open: false }));
+}
@@ -0,0 +1,344 @@
+// src/routes/games/the-ground-itself/logic/saveSlots.js
+
+/**
+ * SAVE SLOT PERSISTENCE SERVICE
+ *
+ * This service handles ALL persistence of the game state to localStorage.
+ * DO NOT read or write localStorage for game data anywhere else.
+ *
+ * How it works:
+ * - Every game lives in a named save slot, stored under its own key
+ * - The active slot is autosaved whenever gameState changes
+ * - A slot is only created once the game leaves the intro screen, so
+ *   starting a new place doesn't litter the list with empty saves
+ * - Each save records GAME_STATE_SCHEMA_VERSION; older saves are run
+ *   through MIGRATIONS on load so they match the current state shape
+ */
+
+import { browser } from '$app/environment';
+import {
+	gameState,
+	saveSlots,
+	activeSlotId,
+	imageBudget,
+	imageNotice,
+	createInitialGameState,
+	GAME_STATE_SCHEMA_VERSION
+} from '../stores.js';
+import { clearUndoHistory } from './gameActions.js';
+import { clearImageRequests } from './imageService.js';
+import { createGameId } from './random.js';
+
+const STORAGE_PREFIX = 'the-ground-itself';
+const INDEX_KEY = `${STORAGE_PREFIX}:slots`;
+const ACTIVE_SLOT_KEY = `${STORAGE_PREFIX}:active-slot`;
+
+/**
+ * Migrations keyed by the version they upgrade FROM.
+ * Each receives the saved state at that version and returns it at version + 1.
+ * Version 0 covers saves written before versioning existed.
+ */
+const MIGRATIONS = {
+	0: (state) => state,
+	// v2 added timeGaps - jump details were never stored before, so start empty
+	1: (state) => ({ ...state, timeGaps: [] }),
+	// v3 added the history log - older saves only have the answers map
+	2: (state) => ({ ...state, history: [] }),
+	// v4 added seeds - unseeded games keep using Math.random
+	3: (state) => ({ ...state, seed: null, timelineRollCount: 0 }),
+	// v5 added the cached story summary - it is rebuilt on the next image
+	4: (state) => ({ ...state, storySummary: null }),
+	// v6 added the player roster - older games were played unattributed
+	5: (state) => ({ ...state, players: [], currentPlayerIndex: -1 }),
+	// v7 added deck packs - older games were played with the base prompts
+	6: (state) => ({ ...state, deckPack: null }),
+	// v8 added game variants - older games follow the rulebook
+	7: (state) => ({ ...state, variant: null }),
+	// v9 added lines and veils - older games had none
+	8: (state) => ({ ...state, safety: { lines: [], veils: [] } }),
+	// v10 added per-game negative prompts
+	9: (state) => ({ ...state, imageNegativePrompt: '' }),
+	// v11 added game ids for the server's image budget - older games get a fresh one
+	10: (state) => ({ ...state, gameId: createGameId() }),
+	// v12 added prompt template overrides - older games use the defaults
+	11: (state) => ({ ...state, promptTemplates: {} }),
+	// v13 made time gaps full records - answers come back from the history log, ten-card prompts weren't asked
+	12: (state) => ({
+		...state,
+		timeGaps: (state.timeGaps || []).map((gap) => ({
+			...gap,
+			tenCard: null,
+			answers:
+				(state.history || []).find(
+					(event) => event.type === 'timeGap' && event.timeGap?.tenNumber === gap.tenNumber
+				)?.timeGap?.answers || []
+		}))
+	}),
+	// v14 added the place codex - older games start with an empty one
+	13: (state) => ({ ...state, codex: [] }),
+	// v15 added the AI co-player seat - older rosters are all people
+	14: (state) => ({
+		...state,
+		players: (state.players || []).map((player) => ({ ...player, isAi: false }))
+	}),
+	// v16 let the X-card set aside a time gap's ten-card prompt - none had been
+	15: (state) => ({ ...state, tenCardSetAside: false })
+};
+
+/**
+ * Phases that live on the /play and /end routes rather than the intro page
+ */
+const PHASE_ROUTES = {
+	mainPlay: '/games/the-ground-itself/play',
+	timeGap: '/games/the-ground-itself/play',
+	end: '/games/the-ground-itself/end'
+};
+
+// ===== STORAGE HELPERS =====
+
+function slotKey(id) {
+	return `${STORAGE_PREFIX}:slot:${id}`;
+}
+
+function readJson(key, fallback) {
+	try {
+		const raw = localStorage.getItem(key);
+		return raw ? JSON.parse(raw) : fallback;
+	} catch (error) {
+		console.error(`Failed to read ${key} from storage:`, error);
+		return fallback;
+	}
+}
+
+function writeJson(key, value) {
+	try {
+		localStorage.setItem(key, JSON.stringify(value));
+		return true;
+	} catch (error) {
+		// Most likely the storage quota is full - keep playing, just unsaved
+		console.error(`Failed to write ${key} to storage:`, error);
+		return false;
+	}
+}
+
+function readIndex() {
+	const index = readJson(INDEX_KEY, []);
+	return Array.isArray(index) ? index : [];
+}
+
+function writeIndex(index) {
+	const sorted = [...index].sort((a, b) => b.updatedAt - a.updatedAt);
+	writeJson(INDEX_KEY, sorted);
+	saveSlots.set(sorted);
+}
+
+function setActiveSlot(id) {
+	activeSlotId.set(id);
+	if (id) {
+		localStorage.setItem(ACTIVE_SLOT_KEY, id);
+	} else {
+		localStorage.removeItem(ACTIVE_SLOT_KEY);
+	}
+}
+
+// Image notices, budgets and requests belong to the previous game
+function clearImageStatus() {
+	clearImageRequests();
+	imageBudget.set(null);
+	imageNotice.set(null);
+}
+
+function createSlotId() {
+	return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function getDefaultSlotName(state) {
+	const description = (state.settingDescription || '').trim();
+	if (description) {
+		return description.length > 40 ? `${description.slice(0, 40)}…` : description;
+	}
+	return `Untitled place (${new Date().toLocaleDateString()})`;
+}
+
+/**
+ * Bring a saved state up to the current schema version
+ * @param {Object} state - The saved game state
+ * @param {number} version - Schema version the state was saved with
+ * @returns {Object} - State in the current shape
+ */
+function migrateState(state, version = 0) {
+	let migrated = state;
+	for (let v = version; v < GAME_STATE_SCHEMA_VERSION; v++) {
+		const migration = MIGRATIONS[v];
+		if (!migration) {
+			throw new Error(`No save migration from schema version ${v}`);
+		}
+		migrated = migration(migrated);
+	}
+
+	// Fill in any fields added since the save was written, and drop
+	// transient flags that shouldn't survive a reload
+	return {
+		...createInitialGameState(),
+		...migrated,
+		isGeneratingImage: false
+	};
+}
+
+// ===== AUTOSAVE =====
+
+/**
+ * Write the current state into the active slot, creating the slot if needed
+ * @param {Object} state - Current game state
+ */
+function persistState(state) {
+	let id;
+	activeSlotId.subscribe((value) => {
+		id = value;
+	})();
+
+	// Nothing worth saving until the place has been described
+	if (!id && state.currentPhase === 'intro') return;
+
+	const index = readIndex();
+	const now = Date.now();
+	let entry = id && index.find((slot) => slot.id === id);
+
+	if (!entry) {
+		id = createSlotId();
+		entry = { id, name: getDefaultSlotName(state), createdAt: now };
+		index.push(entry);
+		setActiveSlot(id);
+	}
+
+	entry.updatedAt = now;
+	entry.phase = state.currentPhase;
+	entry.settingDescription = state.settingDescription;
+
+	writeJson(slotKey(id), { schemaVersion: GAME_STATE_SCHEMA_VERSION, savedAt: now, state });
+	writeIndex(index);
+}
+
+/**
+ * Restore the last active slot and start autosaving.
+ * Call once from the game layout after mount (browser only).
+ * @returns {Function} - Unsubscribe function that stops autosaving
+ */
+export function initializePersistence() {
+	if (!browser) return () => {};
+
+	saveSlots.set(readIndex());
+
+	const lastSlotId = localStorage.getItem(ACTIVE_SLOT_KEY);
+	if (lastSlotId && !loadSaveSlot(lastSlotId)) {
+		setActiveSlot(null);
+	}
+
+	return gameState.subscribe(persistState);
+}
+
+// ===== SLOT MANAGEMENT =====
+
+/**
+ * List all save slots, most recently played first
+ * @returns {Array} - Slot index entries
+ */
+export function listSaveSlots() {
+	if (!browser) return [];
+	const index = readIndex().sort((a, b) => b.updatedAt - a.updatedAt);
+	saveSlots.set(index);
+	return index;
+}
+
+/**
+ * Load a save slot into gameState and make it the active slot
+ * @param {string} id - Slot id
+ * @returns {Object|null} - The loaded state, or null if the slot is missing or unreadable
+ */
+export function loadSaveSlot(id) {
+	if (!browser) return null;
+
+	const saved = readJson(slotKey(id), null);
+	if (!saved || !saved.state) {
+		console.error('Save slot not found:', id);
+		return null;
+	}
+
+	try {
+		const state = migrateState(saved.state, saved.schemaVersion);
+		setActiveSlot(id);
+		clearImageStatus();
+		clearUndoHistory();
+		gameState.set(state);
+		return state;
+	} catch (error) {
+		console.error('Failed to load save slot:', error);
+		return null;
+	}
+}
+
+/**
+ * Rename a save slot
+ * @param {string} id - Slot id
+ * @param {string} name - New display name
+ * @returns {boolean} - Success/failure
+ */
+export function renameSaveSlot(id, name) {
+	if (!browser || !name.trim()) return false;
+
+	const index = readIndex();
+	const entry = index.find((slot) => slot.id === id);
+	if (!entry) return false;
+
+	entry.name = name.trim();
+	writeIndex(index);
+	return true;
+}
+
+/**
+ * Delete a save slot. Deleting the active slot starts a fresh game.
+ * @param {string} id - Slot id
+ * @returns {boolean} - Success/failure
+ */
+export function deleteSaveSlot(id) {
+	if (!browser) return false;
+
+	const index = readIndex();
+	const remaining = index.filter((slot) => slot.id !== id);
+	if (remaining.length === index.length) return false;
+
+	localStorage.removeItem(slotKey(id));
+	writeIndex(remaining);
+
+	let currentId;
+	activeSlotId.subscribe((value) => {
+		currentId = value;
+	})();
+	if (currentId === id) {
+		startNewSlot();
+	}
+
+	return true;
+}
+
+/**
+ * Start a new game in a new slot. The previous game stays saved in its own slot;
+ * the new slot is created on the first autosave after leaving the intro screen.
+ */
+export function startNewSlot() {
+	if (browser) {
+		setActiveSlot(null);
+	}
+	clearImageStatus();
+	clearUndoHistory();
+	gameState.set(createInitialGameState());
+}
+
+/**
+ * Route a loaded game should be shown on
+ * @param {string} phase - The game's currentPhase
+ * @returns {string} - App route for that phase
+ */
+export function getRouteForPhase(phase) {
+	return PHASE_ROUTES[phase] || '/games/the-ground-itself';
+}
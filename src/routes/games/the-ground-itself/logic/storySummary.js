@@ -0,0 +1,148 @@
+// src/routes/games/the-ground-itself/logic/storySummary.js
+
+/**
+ * STORY SUMMARY HELPERS
+ *
+ * Pure functions shared by the client (summaryService.js, promptBuilder.js)
+ * and the summarize API route. A summary has the shape:
+ *
+ *   { setup: string, cycles: [{ cycle, summary }], current: string }
+ *
+ * - setup:   the place as it was established
+ * - cycles:  one short paragraph per cycle, including the time gap that ended it
+ * - current: the present state of the place - its landmarks and inhabitants
+ *
+ * buildLocalSummary() produces one without any network access; a text model
+ * (server/textProviders.js) can produce a better one in the same shape.
+ */
+
+const MAX_ANSWER_LENGTH = 140;
+const MAX_SECTION_LENGTH = 400;
+const RECENT_ANSWER_COUNT = 3;
+
+const SETUP_TYPES = ['place', 'timeline', 'faceCard'];
+const TURN_TYPES = ['cardAnswer', 'focusedSituation'];
+
+/**
+ * Shorten text to its first sentence, capped at `max` characters
+ */
+function firstSentence(text = '', max = MAX_ANSWER_LENGTH) {
+	const trimmed = text.trim().replace(/\s+/g, ' ');
+	const match = trimmed.match(/^.*?[.!?](\s|$)/);
+	const sentence = (match ? match[0] : trimmed).trim();
+	return truncate(sentence, max);
+}
+
+function truncate(text, max) {
+	return text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text;
+}
+
+function withPeriod(text) {
+	return /[.!?…]$/.test(text) ? text : `${text}.`;
+}
+
+/**
+ * Strip history events down to what a summarizer needs
+ * @param {Array} history - gameState.history
+ * @returns {Array<{id: string, type: string, cycle: number, question: string|null, answer: string|null}>}
+ */
+export function compactHistory(history = []) {
+	return history.map((event) => ({
+		id: event.id,
+		type: event.type,
+		cycle: event.cycle,
+		question: event.question,
+		answer: event.answer
+	}));
+}
+
+/**
+ * Deterministic summary built from the answers themselves - no network needed
+ * @param {string} settingDescription - The place as first described
+ * @param {Array} events - Events from compactHistory()
+ * @returns {{setup: string, cycles: Array<{cycle: number, summary: string}>, current: string}}
+ */
+export function buildLocalSummary(settingDescription, events = []) {
+	const setupAnswers = events
+		.filter((event) => event.type === 'faceCard' && event.answer)
+		.map((event) => withPeriod(firstSentence(event.answer)));
+	const place = settingDescription?.trim() ? withPeriod(firstSentence(settingDescription)) : '';
+	const setup = truncate([place, ...setupAnswers].filter(Boolean).join(' '), MAX_SECTION_LENGTH);
+
+	const cycles = [];
+	for (const event of events) {
+		if (SETUP_TYPES.includes(event.type) || event.type === 'final' || !event.answer) continue;
+
+		let entry = cycles.find((c) => c.cycle === event.cycle);
+		if (!entry) {
+			entry = { cycle: event.cycle, parts: [] };
+			cycles.push(entry);
+		}
+
+		entry.parts.push(
+			event.type === 'timeGap'
+				? `${withPeriod(event.question)} ${withPeriod(firstSentence(event.answer))}`
+				: withPeriod(firstSentence(event.answer))
+		);
+	}
+
+	// The present is whatever has been said since the last time gap
+	const lastGapIndex = events.findLastIndex((event) => event.type === 'timeGap');
+	const sinceGap = events.slice(lastGapIndex + 1);
+	const recent = sinceGap
+		.filter((event) => TURN_TYPES.includes(event.type) && event.answer)
+		.slice(-RECENT_ANSWER_COUNT)
+		.map((event) => withPeriod(firstSentence(event.answer)));
+
+	let current = recent.join(' ');
+	if (!current && lastGapIndex >= 0) {
+		current = withPeriod(firstSentence(events[lastGapIndex].answer, MAX_SECTION_LENGTH));
+	}
+
+	return {
+		setup,
+		cycles: cycles.map(({ cycle, parts }) => ({
+			cycle,
+			summary: truncate(parts.join(' '), MAX_SECTION_LENGTH)
+		})),
+		current: truncate(current || setup, MAX_SECTION_LENGTH)
+	};
+}
+
+/**
+ * Check that a value has the summary shape (used on model output)
+ * @param {unknown} summary
+ * @returns {boolean}
+ */
+export function isValidSummary(summary) {
+	return (
+		Boolean(summary) &&
+		typeof summary.setup === 'string' &&
+		typeof summary.current === 'string' &&
+		Array.isArray(summary.cycles) &&
+		summary.cycles.every(
+			(entry) => Number.isFinite(Number(entry?.cycle)) && typeof entry?.summary === 'string'
+		)
+	);
+}
+
+/**
+ * Render a summary as prompt text
+ * @param {Object} summary - Summary object
+ * @returns {string} - Empty string when there is nothing to say
+ */
+export function formatSummary(summary) {
+	if (!summary) return '';
+
+	const lines = [];
+	if (summary.setup) {
+		lines.push(`How the place began: ${truncate(summary.setup, MAX_SECTION_LENGTH)}`);
+	}
+	for (const { cycle, summary: text } of summary.cycles || []) {
+		if (text) lines.push(`Cycle ${cycle}: ${truncate(text, MAX_SECTION_LENGTH)}`);
+	}
+	if (summary.current) {
+		lines.push(`As it stands now: ${truncate(summary.current, MAX_SECTION_LENGTH)}`);
+	}
+	return lines.join('\n');
+}
@@ -0,0 +1,75 @@
+// src/routes/games/the-ground-itself/logic/summaryService.js
+
+/**
+ * CENTRALIZED STORY SUMMARY SERVICE
+ *
+ * Keeps gameState.storySummary - a rolling summary of the story that every
+ * image prompt includes, so images remember what came before.
+ * DO NOT call the summarize API from components - always use this service.
+ *
+ * The summary is produced by the server's configured text model
+ * (server/textProviders.js). If that fails, or there is no network, the
+ * deterministic local summarizer in storySummary.js is used instead.
+ */
+
+import { gameState } from '../stores.js';
+import { buildLocalSummary, compactHistory, formatSummary } from './storySummary.js';
+
+/**
+ * Bring the cached summary up to date with the history log
+ * @returns {Promise<string>} - The summary formatted for prompts ('' before anything happens)
+ */
+export async function refreshStorySummary() {
+	let currentState;
+	gameState.subscribe((state) => {
+		currentState = state;
+	})();
+
+	const { history, storySummary, settingDescription } = currentState;
+	const lastEvent = history[history.length - 1];
+	if (!lastEvent) return '';
+
+	// Already covers the latest event
+	if (storySummary?.basedOn === lastEvent.id) {
+		return formatSummary(storySummary);
+	}
+
+	// Fold only the new events into the previous summary - unless an undo removed what it covered
+	const coveredIndex = storySummary
+		? history.findIndex((event) => event.id === storySummary.basedOn)
+		: -1;
+	const events = compactHistory(history);
+
+	let summary;
+	let source;
+	try {
+		const response = await fetch('/games/the-ground-itself/api/summarize', {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json'
+			},
+			body: JSON.stringify({
+				settingDescription,
+				events,
+				previousSummary: coveredIndex >= 0 ? storySummary : null,
+				sinceIndex: coveredIndex + 1
+			})
+		});
+
+		const result = await response.json();
+		if (!result.success) {
+			throw new Error(result.error);
+		}
+		summary = result.summary;
+		source = result.provider;
+	} catch (error) {
+		console.warn('Story summary unavailable, summarizing locally:', error.message);
+		summary = buildLocalSummary(settingDescription, events);
+		source = 'local';
+	}
+
+	const cached = { ...summary, basedOn: lastEvent.id, source };
+	gameState.update((state) => ({ ...state, storySummary: cached }));
+
+	return formatSummary(cached);
+}
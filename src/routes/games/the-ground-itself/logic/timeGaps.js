@@ -0,0 +1,88 @@
+// src/routes/games/the-ground-itself/logic/timeGaps.js
+
+/**
+ * TIME GAPS
+ *
+ * Every ten but the last opens a time gap. The players first answer one of
+ * the ten-card prompts (any they haven't used yet), then roll the die, pick
+ * a direction and answer the time gap questions. submitTimeGap() keeps each
+ * gap in gameState.timeGaps as:
+ *
+ *   { tenNumber, tenCard: { question, answer } | null, amount, unit, direction,
+ *     answers: [{ question, answer }] }
+ *
+ * tenCard is null for gaps played before ten-card prompts were asked.
+ * The helpers below read those records for the play screen, the end screen
+ * and the chronicle export. Pure functions only.
+ */
+
+import { getDeckTables } from './deckPacks.js';
+
+const SINGULAR_UNITS = {
+	days: 'day',
+	weeks: 'week',
+	years: 'year',
+	decades: 'decade',
+	centuries: 'century',
+	millennia: 'millennium'
+};
+
+/**
+ * An amount of timeline units, e.g. "1 century" or "5 centuries"
+ * @param {number} amount
+ * @param {string} unit - Plural unit from the timeline roll
+ * @returns {string}
+ */
+export function formatTimeAmount(amount, unit) {
+	const label = amount === 1 ? SINGULAR_UNITS[unit] || unit : unit;
+	return `${amount} ${label || 'units of time'}`;
+}
+
+/**
+ * Ten-card prompts the players can still pick - the rules don't allow the
+ * same one twice. Longer variants can outlast the list, so it starts over
+ * once every prompt has been used.
+ * @param {Object} state - Game state
+ * @returns {string[]}
+ */
+export function getAvailableTenCardQuestions(state) {
+	const { tenCardQuestions } = getDeckTables(state);
+	const used = new Set((state.timeGaps || []).map((gap) => gap.tenCard?.question).filter(Boolean));
+	const available = tenCardQuestions.filter((question) => !used.has(question));
+	return available.length > 0 ? available : tenCardQuestions;
+}
+
+/**
+ * How far the place has moved through time, per unit (every gap in a game
+ * uses the timeline unit, but older saves may mix them)
+ * @param {Object} state - Game state
+ * @returns {Array<{unit: string, forward: number, backward: number}>}
+ */
+export function getTimeTravelled(state) {
+	const totals = [];
+	for (const gap of state.timeGaps || []) {
+		if (gap.amount == null) continue;
+		const unit = gap.unit || state.timelineUnit;
+		let total = totals.find((entry) => entry.unit === unit);
+		if (!total) {
+			total = { unit, forward: 0, backward: 0 };
+			totals.push(total);
+		}
+		total[gap.direction === 'backward' ? 'backward' : 'forward'] += Number(gap.amount);
+	}
+	return totals;
+}
+
+/**
+ * One sentence for displays and exports
+ * @param {Object} state - Game state
+ * @returns {string} - e.g. "This place has seen 14 centuries forward, 3 back." ('' before the first gap)
+ */
+export function describeTimeTravelled(state) {
+	const parts = getTimeTravelled(state).map(({ unit, forward, backward }) => {
+		if (forward && backward) return `${formatTimeAmount(forward, unit)} forward, ${backward} back`;
+		if (backward) return `${formatTimeAmount(backward, unit)} back`;
+		return `${formatTimeAmount(forward, unit)} forward`;
+	});
+	return parts.length > 0 ? `This place has seen ${parts.join('; ')}.` : '';
+}
@@ -0,0 +1,183 @@
+// src/routes/games/the-ground-itself/logic/variants.js
+
+/**
+ * GAME VARIANTS
+ *
+ * Rule changes chosen at setup for shorter or longer sessions. The chosen
+ * variant is validated by startGame() and kept in gameState.variant, and
+ * every rule that depends on it reads it through the helpers below.
+ *
+ * - cycles: how many tens end the game (the rulebook plays four)
+ * - excludedRanks: numbered ranks stripped from the deck
+ * - timeGapDirection: 'choose' as the rules say, or always 'forward' / 'backward'
+ * - skipFaceCards: go from the timeline roll straight into play
+ * - focusedSituations: false to always answer the card's question
+ *
+ * Pure functions only, so the phase machine can use them headlessly.
+ */
+
+export const NUMERICAL_RANKS = [
+	'ace',
+	'two',
+	'three',
+	'four',
+	'five',
+	'six',
+	'seven',
+	'eight',
+	'nine'
+];
+
+export const TIME_GAP_DIRECTIONS = ['choose', 'forward', 'backward'];
+
+// A single deck holds four tens, so longer games shuffle in a second deck
+const TENS_PER_DECK = 4;
+const MAX_DECKS = 2;
+export const MIN_CYCLES = 1;
+export const MAX_CYCLES = TENS_PER_DECK * MAX_DECKS;
+
+/**
+ * The rulebook game
+ */
+export const STANDARD_VARIANT = {
+	cycles: 4,
+	excludedRanks: [],
+	timeGapDirection: 'choose',
+	skipFaceCards: false,
+	focusedSituations: true
+};
+
+export const VARIANT_PRESETS = [
+	{
+		id: 'standard',
+		name: 'Standard game',
+		description: 'Four cycles with the full deck, as in the rulebook.',
+		variant: STANDARD_VARIANT
+	},
+	{
+		id: 'short',
+		name: 'Short game',
+		description: 'Two cycles with a smaller deck and time always moving forward - about an hour.',
+		variant: {
+			...STANDARD_VARIANT,
+			cycles: 2,
+			excludedRanks: ['six', 'seven', 'eight', 'nine'],
+			timeGapDirection: 'forward'
+		}
+	},
+	{
+		id: 'long',
+		name: 'Long game',
+		description: 'Six cycles drawn from two decks shuffled together.',
+		variant: { ...STANDARD_VARIANT, cycles: 6 }
+	}
+];
+
+/**
+ * Check a variant from the setup screen
+ * @param {Object} variant - Variant fields (see STANDARD_VARIANT)
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateVariant(variant) {
+	const errors = [];
+	const { cycles, excludedRanks, timeGapDirection, focusedSituations } = variant;
+
+	if (!Number.isInteger(cycles) || cycles < MIN_CYCLES || cycles > MAX_CYCLES) {
+		errors.push(`The number of cycles must be a whole number from ${MIN_CYCLES} to ${MAX_CYCLES}.`);
+	}
+	if (
+		!Array.isArray(excludedRanks) ||
+		excludedRanks.some((rank) => !NUMERICAL_RANKS.includes(rank))
+	) {
+		errors.push('Only the ranks ace to nine can be removed from the deck.');
+	} else if (excludedRanks.length >= NUMERICAL_RANKS.length) {
+		errors.push('Keep at least one numbered rank in the deck.');
+	}
+	if (!TIME_GAP_DIRECTIONS.includes(timeGapDirection)) {
+		errors.push(`Time gap direction must be one of: ${TIME_GAP_DIRECTIONS.join(', ')}.`);
+	}
+	if (typeof focusedSituations !== 'boolean') {
+		errors.push('Focused situations must be turned on or off.');
+	}
+
+	return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Fill in defaults and drop unknown fields
+ * @param {Object} variant - Partial variant
+ * @returns {Object} - A complete variant
+ */
+export function normalizeVariant(variant = {}) {
+	return {
+		cycles: Number(variant.cycles ?? STANDARD_VARIANT.cycles),
+		excludedRanks: [...new Set(variant.excludedRanks ?? [])],
+		timeGapDirection: variant.timeGapDirection ?? STANDARD_VARIANT.timeGapDirection,
+		skipFaceCards: Boolean(variant.skipFaceCards),
+		focusedSituations: variant.focusedSituations ?? true
+	};
+}
+
+// ===== RULE HELPERS =====
+
+function getVariant(state) {
+	return state.variant || STANDARD_VARIANT;
+}
+
+/**
+ * How many cycles (and so how many tens) the game lasts
+ * @param {Object} state - gameState value
+ * @returns {number}
+ */
+export function getCycleCount(state) {
+	return getVariant(state).cycles;
+}
+
+/**
+ * Options for createNumericalDeck() that honor the variant
+ * @param {Object} state - gameState value
+ * @returns {{ excludedRanks: string[], copies: number }}
+ */
+export function getDeckOptions(state) {
+	const variant = getVariant(state);
+	return {
+		excludedRanks: variant.excludedRanks,
+		copies: Math.ceil(variant.cycles / TENS_PER_DECK)
+	};
+}
+
+/**
+ * How many cards a fresh numbered deck holds under the variant
+ * @param {Object} state - gameState value
+ * @returns {number} - 40 for the rulebook game (4 suits × 10 ranks)
+ */
+export function getDeckSize(state) {
+	const { excludedRanks, copies } = getDeckOptions(state);
+	return (NUMERICAL_RANKS.length + 1 - excludedRanks.length) * 4 * copies;
+}
+
+/**
+ * Direction time gaps must move, or null when the table chooses
+ * @param {Object} state - gameState value
+ * @returns {'forward'|'backward'|null}
+ */
+export function getForcedTimeGapDirection(state) {
+	const direction = getVariant(state).timeGapDirection;
+	return direction === 'choose' ? null : direction;
+}
+
+/**
+ * @param {Object} state - gameState value
+ * @returns {boolean}
+ */
+export function skipsFaceCards(state) {
+	return getVariant(state).skipFaceCards;
+}
+
+/**
+ * @param {Object} state - gameState value
+ * @returns {boolean}
+ */
+export function allowsFocusedSituations(state) {
+	return getVariant(state).focusedSituations;
+}
@@ -0,0 +1,11 @@
+// src/routes/games/the-ground-itself/prompt-lab/+page.js
+
+import { dev } from '$app/environment';
+import { error } from '@sveltejs/kit';
+
+// The prompt lab is a development tool - it doesn't exist in production builds
+export function load() {
+	if (!dev) {
+		error(404, 'Not found');
+	}
+}
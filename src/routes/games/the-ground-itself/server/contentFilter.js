@@ -0,0 +1,241 @@
+// src/routes/games/the-ground-itself/server/contentFilter.js
+
+/**
+ * IMAGE PROMPT CONTENT FILTER (SERVER ONLY)
+ *
+ * Players' answers go straight into image prompts, so the generate-image
+ * route screens every prompt before any provider sees it:
+ *
+ *   filter.screen(prompt) → Promise<{ prompt, rewritten, reason }>
+ *
+ * and throws ContentFilterError when a prompt can't be used at all.
+ *
+ * - Blocklist: terms from the built-in list plus CONTENT_BLOCKLIST. Depending
+ *   on CONTENT_FILTER_ACTION, sentences that use them are dropped from the
+ *   prompt ('rewrite') or the whole prompt is refused ('reject')
+ * - Classifier: optionally, an OpenAI-compatible /moderations endpoint.
+ *   Anything it flags is refused - a classifier can't say which words to drop
+ *
+ * The whole prompt is screened. The table's lines and veils name what to
+ * keep out, so they mention the very things the filter looks for - the
+ * route appends them (buildContentLimits) only after screening, rather than
+ * trusting a marker inside client text. A prompt with nothing left once
+ * blocked sentences are dropped is refused.
+ *
+ * Env config:
+ *   CONTENT_FILTER          on | off                (default: on)
+ *   CONTENT_FILTER_ACTION   rewrite | reject        (default: rewrite)
+ *   CONTENT_BLOCKLIST       extra comma-separated terms; end a term with * to match any ending
+ *   CONTENT_CLASSIFIER      none | openai           (default: none)
+ *   OPENAI_API_KEY, OPENAI_MODERATION_URL, OPENAI_MODERATION_MODEL
+ */
+
+const CLASSIFIER_TIMEOUT_MS = 10000;
+
+// Kept short on purpose - events add their own terms through CONTENT_BLOCKLIST
+const DEFAULT_BLOCKLIST = [
+	'nude',
+	'nudity',
+	'nsfw',
+	'porn*',
+	'explicit sex*',
+	'genital*',
+	'gore',
+	'gory',
+	'dismember*',
+	'decapitat*',
+	'disembowel*',
+	'mutilat*',
+	'self-harm',
+	'swastika*'
+];
+
+// Friendly names for OpenAI moderation categories
+const CATEGORY_LABELS = {
+	sexual: 'sexual content',
+	'sexual/minors': 'sexual content involving minors',
+	hate: 'hateful content',
+	'hate/threatening': 'hateful content',
+	harassment: 'harassment',
+	'harassment/threatening': 'harassment',
+	'self-harm': 'self-harm',
+	'self-harm/intent': 'self-harm',
+	'self-harm/instructions': 'self-harm',
+	violence: 'violence',
+	'violence/graphic': 'graphic violence',
+	illicit: 'illegal activity',
+	'illicit/violent': 'illegal activity'
+};
+
+/**
+ * Thrown when a prompt is refused.
+ * `reason` is written for the players; `status` is the HTTP status the route responds with.
+ */
+export class ContentFilterError extends Error {
+	/**
+	 * @param {string} message - Human-readable description (logged)
+	 * @param {Object} details
+	 * @param {'blocked'|'filter_unavailable'} details.code
+	 * @param {string} details.reason - Message to show the players
+	 * @param {number} [details.status]
+	 * @param {unknown} [details.cause] - Underlying error
+	 */
+	constructor(message, { code, reason, status = 422, cause } = {}) {
+		super(message, { cause });
+		this.name = 'ContentFilterError';
+		this.code = code;
+		this.reason = reason;
+		this.status = status;
+	}
+}
+
+// ===== BLOCKLIST =====
+
+function escapeRegExp(text) {
+	return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile blocklist terms into one case-insensitive, whole-word pattern
+ * @param {string[]} terms
+ * @returns {RegExp|null} - null for an empty list
+ */
+function compileBlocklist(terms) {
+	const patterns = terms
+		.map((term) => term.trim().toLowerCase())
+		.filter(Boolean)
+		.map((term) =>
+			term.endsWith('*') ? `${escapeRegExp(term.slice(0, -1))}\\w*` : escapeRegExp(term)
+		);
+	if (patterns.length === 0) return null;
+	return new RegExp(`\\b(?:${patterns.join('|')})\\b`, 'gi');
+}
+
+function findBlockedTerms(pattern, text) {
+	if (!pattern) return [];
+	return [...new Set((text.match(pattern) || []).map((match) => match.toLowerCase()))];
+}
+
+/**
+ * Drop every sentence or line that uses a blocked term
+ */
+function removeBlockedSentences(pattern, text) {
+	return text
+		.split(/(?<=[.!?\n])/)
+		.filter((sentence) => {
+			pattern.lastIndex = 0;
+			return !pattern.test(sentence);
+		})
+		.join('');
+}
+
+// ===== CLASSIFIER =====
+
+async function classifyWithOpenAI(env, text) {
+	const apiKey = env.OPENAI_API_KEY;
+	if (!apiKey) {
+		throw new ContentFilterError('OPENAI_API_KEY must be set to use the openai classifier', {
+			code: 'filter_unavailable',
+			reason: 'Images are paused because the content filter is not set up.',
+			status: 500
+		});
+	}
+
+	let response;
+	try {
+		response = await fetch(env.OPENAI_MODERATION_URL || 'https://api.openai.com/v1/moderations', {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json',
+				Authorization: `Bearer ${apiKey}`
+			},
+			body: JSON.stringify({
+				model: env.OPENAI_MODERATION_MODEL || 'omni-moderation-latest',
+				input: text
+			}),
+			signal: AbortSignal.timeout(CLASSIFIER_TIMEOUT_MS)
+		});
+	} catch (error) {
+		response = { ok: false, status: 0, error };
+	}
+
+	// Fail closed - an unscreened prompt must not reach the image provider
+	if (!response.ok) {
+		throw new ContentFilterError(`Moderation request failed (HTTP ${response.status})`, {
+			code: 'filter_unavailable',
+			reason: "The content filter couldn't be reached, so no image was made. Try again shortly.",
+			status: 503,
+			cause: response.error
+		});
+	}
+
+	const result = (await response.json())?.results?.[0];
+	if (!result?.flagged) return [];
+	return [
+		...new Set(
+			Object.entries(result.categories || {})
+				.filter(([, flagged]) => flagged)
+				.map(([category]) => CATEGORY_LABELS[category] || category)
+		)
+	];
+}
+
+// ===== FILTER =====
+
+/**
+ * Create the content filter described by env config
+ * @param {Record<string, string|undefined>} env - Private env vars ($env/dynamic/private)
+ * @param {Object} [options]
+ * @param {boolean} [options.offline] - Skip the network classifier (development mode)
+ * @returns {{ enabled: boolean, screen: (prompt: string) => Promise<{ prompt: string, rewritten: boolean, reason: string|null }> }}
+ */
+export function getContentFilter(env, { offline = false } = {}) {
+	const enabled = (env.CONTENT_FILTER || 'on').toLowerCase() !== 'off';
+	const action = (env.CONTENT_FILTER_ACTION || 'rewrite').toLowerCase();
+	const classifier = offline ? 'none' : (env.CONTENT_CLASSIFIER || 'none').toLowerCase();
+	const blocklist = compileBlocklist([
+		...DEFAULT_BLOCKLIST,
+		...(env.CONTENT_BLOCKLIST || '').split(',')
+	]);
+
+	return {
+		enabled,
+		async screen(prompt) {
+			if (!enabled) return { prompt, rewritten: false, reason: null };
+
+			let screened = prompt;
+			let reason = null;
+
+			const blocked = findBlockedTerms(blocklist, screened);
+			if (blocked.length > 0) {
+				if (action === 'reject') {
+					throw new ContentFilterError(`Prompt uses blocked terms: ${blocked.join(', ')}`, {
+						code: 'blocked',
+						reason: `No image was made because part of the story mentions ${blocked.join(', ')}, which can't be used in images here.`
+					});
+				}
+				screened = removeBlockedSentences(blocklist, screened);
+				reason = `Parts of the story that mention ${blocked.join(', ')} were left out of this image.`;
+
+				if (!screened.trim()) {
+					throw new ContentFilterError('Prompt is empty once blocked sentences are removed', {
+						code: 'blocked',
+						reason: `No image was made because every part of this prompt mentions ${blocked.join(', ')}, which can't be used in images here.`
+					});
+				}
+			}
+
+			if (classifier === 'openai') {
+				const categories = await classifyWithOpenAI(env, screened);
+				if (categories.length > 0) {
+					throw new ContentFilterError(`Classifier flagged: ${categories.join(', ')}`, {
+						code: 'blocked',
+						reason: `No image was made because this part of the story was flagged for ${categories.join(', ')}. The story itself is unchanged.`
+					});
+				}
+			}
+
+			return { prompt: screened, rewritten: blocked.length > 0, reason };
+		}
+	};
+}
@@ -0,0 +1,329 @@
+// src/routes/games/the-ground-itself/server/imageProviders.js
+
+/**
+ * IMAGE PROVIDERS (SERVER ONLY)
+ *
+ * Every image backend implements the same interface:
+ *
+ *   provider.generate(prompt, { timeoutMs, negativePrompt }) →
+ *     Promise<{ imageUrl } | { imageBase64, mimeType }>
+ *
+ * Providers with `supportsNegativePrompt` get the negative prompt (global
+ * defaults from IMAGE_NEGATIVE_PROMPT plus the game's additions); the rest
+ * rely on the limits written into the prompt itself.
+ *
+ * and throws ImageProviderError on failure. The generate-image route picks
+ * a provider from server-side env config (IMAGE_PROVIDER) - the client
+ * never chooses which paid API gets called.
+ *
+ * Providers:
+ * - mock:   placeholder URLs, no network (offline development and tests)
+ * - gemini: Google Gemini via @google/generative-ai
+ * - openai: any OpenAI-compatible /images/generations endpoint
+ * - local:  a local Stable Diffusion server with an AUTOMATIC1111-style
+ *           /sdapi/v1/txt2img API (ComfyUI and others can sit behind an adapter)
+ *
+ * Env config (all optional except the selected provider's key/URL):
+ *   IMAGE_PROVIDER          mock | gemini | openai | local   (default: mock)
+ *   IMAGE_TIMEOUT_MS        request timeout in ms            (default: 60000)
+ *   IMAGE_NEGATIVE_PROMPT   default negative prompt terms    (default: DEFAULT_NEGATIVE_PROMPT)
+ *   GEMINI_API_KEY, GEMINI_IMAGE_MODEL
+ *   OPENAI_API_KEY, OPENAI_IMAGES_URL, OPENAI_IMAGE_MODEL, OPENAI_IMAGE_SIZE
+ *   LOCAL_IMAGE_URL, LOCAL_IMAGE_STEPS, LOCAL_IMAGE_WIDTH, LOCAL_IMAGE_HEIGHT
+ */
+
+import { GoogleGenerativeAI, GoogleGenerativeAIFetchError } from '@google/generative-ai';
+import { generateMockImageUrl } from '../logic/promptBuilder.js';
+
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_NEGATIVE_PROMPT = 'text, watermark, signature, nudity, gore, blood';
+const MAX_NEGATIVE_PROMPT_LENGTH = 1000;
+
+/**
+ * Error thrown by image providers.
+ * `code` is stable for clients to branch on; `status` is the HTTP status the route responds with.
+ */
+export class ImageProviderError extends Error {
+	/**
+	 * @param {string} message - Human-readable description
+	 * @param {Object} details
+	 * @param {'config'|'timeout'|'rate_limited'|'rejected'|'provider'|'invalid_response'} details.code
+	 * @param {string} details.provider - Provider name
+	 * @param {number} [details.status] - HTTP status for the route response
+	 * @param {unknown} [details.cause] - Underlying error
+	 */
+	constructor(message, { code, provider, status = 502, cause } = {}) {
+		super(message, { cause });
+		this.name = 'ImageProviderError';
+		this.code = code;
+		this.provider = provider;
+		this.status = status;
+	}
+}
+
+/**
+ * Map an upstream HTTP status to an ImageProviderError
+ */
+function errorFromStatus(provider, status, body) {
+	if (status === 429) {
+		return new ImageProviderError(`${provider} rate limit reached`, {
+			code: 'rate_limited',
+			provider,
+			status: 429
+		});
+	}
+	if (status === 400) {
+		return new ImageProviderError(`${provider} rejected the prompt: ${body}`, {
+			code: 'rejected',
+			provider,
+			status: 422
+		});
+	}
+	if (status === 401 || status === 403) {
+		return new ImageProviderError(`${provider} credentials were refused`, {
+			code: 'config',
+			provider,
+			status: 500
+		});
+	}
+	return new ImageProviderError(`${provider} responded with HTTP ${status}: ${body}`, {
+		code: 'provider',
+		provider
+	});
+}
+
+/**
+ * fetch() with a timeout, converting network failures to ImageProviderError
+ */
+async function fetchWithTimeout(provider, url, init, timeoutMs) {
+	let response;
+	try {
+		response = await fetch(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+	} catch (error) {
+		if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+			throw new ImageProviderError(`${provider} timed out after ${timeoutMs}ms`, {
+				code: 'timeout',
+				provider,
+				status: 504,
+				cause: error
+			});
+		}
+		throw new ImageProviderError(`Could not reach ${provider}: ${error.message}`, {
+			code: 'provider',
+			provider,
+			cause: error
+		});
+	}
+
+	if (!response.ok) {
+		const body = (await response.text().catch(() => '')).slice(0, 300);
+		throw errorFromStatus(provider, response.status, body);
+	}
+
+	return response.json();
+}
+
+function requireSetting(provider, env, name) {
+	const value = env[name];
+	if (!value) {
+		throw new ImageProviderError(`${name} must be set to use the ${provider} image provider`, {
+			code: 'config',
+			provider,
+			status: 500
+		});
+	}
+	return value;
+}
+
+// ===== PROVIDERS =====
+
+function createMockProvider() {
+	return {
+		name: 'mock',
+		async generate(prompt) {
+			// Simulate API delay
+			await new Promise((resolve) => setTimeout(resolve, 1000));
+			return { imageUrl: generateMockImageUrl(prompt) };
+		}
+	};
+}
+
+function createGeminiProvider(env) {
+	const apiKey = requireSetting('gemini', env, 'GEMINI_API_KEY');
+	const modelName = env.GEMINI_IMAGE_MODEL || 'gemini-2.0-flash-preview-image-generation';
+	const genAI = new GoogleGenerativeAI(apiKey);
+
+	return {
+		name: 'gemini',
+		async generate(prompt, { timeoutMs }) {
+			const model = genAI.getGenerativeModel(
+				{
+					model: modelName,
+					generationConfig: { responseModalities: ['TEXT', 'IMAGE'] }
+				},
+				{ timeout: timeoutMs }
+			);
+
+			let result;
+			try {
+				result = await model.generateContent(prompt);
+			} catch (error) {
+				if (error.name === 'GoogleGenerativeAIAbortError') {
+					throw new ImageProviderError(`gemini timed out after ${timeoutMs}ms`, {
+						code: 'timeout',
+						provider: 'gemini',
+						status: 504,
+						cause: error
+					});
+				}
+				if (error instanceof GoogleGenerativeAIFetchError && error.status) {
+					throw errorFromStatus('gemini', error.status, error.message);
+				}
+				throw new ImageProviderError(`gemini request failed: ${error.message}`, {
+					code: 'provider',
+					provider: 'gemini',
+					cause: error
+				});
+			}
+
+			const parts = result.response?.candidates?.[0]?.content?.parts || [];
+			const imagePart = parts.find((part) => part.inlineData?.data);
+			if (!imagePart) {
+				throw new ImageProviderError('gemini returned no image', {
+					code: 'invalid_response',
+					provider: 'gemini'
+				});
+			}
+
+			return {
+				imageBase64: imagePart.inlineData.data,
+				mimeType: imagePart.inlineData.mimeType || 'image/png'
+			};
+		}
+	};
+}
+
+function createOpenAIProvider(env) {
+	const apiKey = requireSetting('openai', env, 'OPENAI_API_KEY');
+	const url = env.OPENAI_IMAGES_URL || 'https://api.openai.com/v1/images/generations';
+	const model = env.OPENAI_IMAGE_MODEL || 'dall-e-3';
+	const size = env.OPENAI_IMAGE_SIZE || '1024x1024';
+
+	return {
+		name: 'openai',
+		async generate(prompt, { timeoutMs }) {
+			const body = await fetchWithTimeout(
+				'openai',
+				url,
+				{
+					method: 'POST',
+					headers: {
+						'Content-Type': 'application/json',
+						Authorization: `Bearer ${apiKey}`
+					},
+					body: JSON.stringify({ model, prompt, size, n: 1 })
+				},
+				timeoutMs
+			);
+
+			const image = body?.data?.[0];
+			if (image?.b64_json) {
+				return { imageBase64: image.b64_json, mimeType: 'image/png' };
+			}
+			if (image?.url) {
+				return { imageUrl: image.url };
+			}
+			throw new ImageProviderError('openai returned no image', {
+				code: 'invalid_response',
+				provider: 'openai'
+			});
+		}
+	};
+}
+
+function createLocalProvider(env) {
+	const baseUrl = requireSetting('local', env, 'LOCAL_IMAGE_URL').replace(/\/+$/, '');
+	const steps = Number(env.LOCAL_IMAGE_STEPS) || 25;
+	const width = Number(env.LOCAL_IMAGE_WIDTH) || 768;
+	const height = Number(env.LOCAL_IMAGE_HEIGHT) || 512;
+
+	return {
+		name: 'local',
+		supportsNegativePrompt: true,
+		async generate(prompt, { timeoutMs, negativePrompt }) {
+			const body = await fetchWithTimeout(
+				'local',
+				`${baseUrl}/sdapi/v1/txt2img`,
+				{
+					method: 'POST',
+					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify({
+						prompt,
+						negative_prompt: negativePrompt || '',
+						steps,
+						width,
+						height
+					})
+				},
+				timeoutMs
+			);
+
+			const image = body?.images?.[0];
+			if (!image) {
+				throw new ImageProviderError('local server returned no image', {
+					code: 'invalid_response',
+					provider: 'local'
+				});
+			}
+			return { imageBase64: image, mimeType: 'image/png' };
+		}
+	};
+}
+
+const PROVIDER_FACTORIES = {
+	mock: createMockProvider,
+	gemini: createGeminiProvider,
+	openai: createOpenAIProvider,
+	local: createLocalProvider
+};
+
+/**
+ * Create the image provider selected by env config
+ * @param {Record<string, string|undefined>} env - Private env vars ($env/dynamic/private)
+ * @param {string} [name] - Override the configured provider (e.g. 'mock' in development mode)
+ * @returns {{ name: string, generate: Function }}
+ */
+export function getImageProvider(env, name) {
+	const providerName = (name || env.IMAGE_PROVIDER || 'mock').toLowerCase();
+	const factory = PROVIDER_FACTORIES[providerName];
+	if (!factory) {
+		throw new ImageProviderError(
+			`Unknown IMAGE_PROVIDER "${providerName}" (expected ${Object.keys(PROVIDER_FACTORIES).join(', ')})`,
+			{ code: 'config', provider: providerName, status: 500 }
+		);
+	}
+	return factory(env);
+}
+
+/**
+ * Request timeout from env config
+ * @param {Record<string, string|undefined>} env - Private env vars
+ * @returns {number} - Timeout in milliseconds
+ */
+export function getImageTimeout(env) {
+	return Number(env.IMAGE_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+}
+
+/**
+ * Negative prompt for a request: the server's defaults plus the game's additions
+ * @param {Record<string, string|undefined>} env - Private env vars
+ * @param {string} [additions] - Comma-separated terms from the client (see buildNegativePrompt)
+ * @returns {string}
+ */
+export function getNegativePrompt(env, additions = '') {
+	const defaults = env.IMAGE_NEGATIVE_PROMPT ?? DEFAULT_NEGATIVE_PROMPT;
+	const terms = [...defaults.split(','), ...String(additions).split(',')]
+		.map((term) => term.trim())
+		.filter(Boolean);
+	return [...new Set(terms)].join(', ').slice(0, MAX_NEGATIVE_PROMPT_LENGTH);
+}
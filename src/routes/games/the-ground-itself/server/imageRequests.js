@@ -0,0 +1,277 @@
+// src/routes/games/the-ground-itself/server/imageRequests.js
+
+/**
+ * IMAGE REQUEST GUARDS (SERVER ONLY)
+ *
+ * What the generate-image route checks before spending anything:
+ *
+ * - parseImageRequest(): the body must match the schema below - known
+ *   fields only, right types, capped lengths. Which backend runs is decided
+ *   by server config alone (IMAGE_PROVIDER), never by the client
+ * - checkRateLimit(): at most IMAGE_RATE_LIMIT requests per
+ *   IMAGE_RATE_WINDOW_MS for each client. Clients are told apart by IP
+ *   address - never by anything the client chooses, like a cookie or game id
+ * - useGenerationBudget(): at most IMAGE_GAME_BUDGET new images per game,
+ *   and IMAGE_CLIENT_BUDGET per client however many games it starts.
+ *   Images served from the image store are free
+ *
+ * Counters live in memory, like rooms, so they reset when the server restarts.
+ *
+ * Env config:
+ *   IMAGE_PROMPT_MAX_LENGTH   characters          (default: 6000)
+ *   IMAGE_RATE_LIMIT          requests per window (default: 12)
+ *   IMAGE_RATE_WINDOW_MS      window in ms        (default: 60000)
+ *   IMAGE_GAME_BUDGET         images per game     (default: 80, 0 for no limit)
+ *   IMAGE_CLIENT_BUDGET       images per client   (default: 240, 0 for no limit)
+ */
+
+const DEFAULT_PROMPT_MAX_LENGTH = 6000;
+const DEFAULT_RATE_LIMIT = 12;
+const DEFAULT_RATE_WINDOW_MS = 60 * 1000;
+const DEFAULT_GAME_BUDGET = 80;
+const DEFAULT_CLIENT_BUDGET = 240;
+const BUDGET_IDLE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const MAX_STYLE_LENGTH = 300;
+const MAX_NEGATIVE_PROMPT_LENGTH = 1000;
+// Same caps the setup screen applies to lines and veils
+const MAX_SAFETY_ITEMS = 20;
+const MAX_SAFETY_ITEM_LENGTH = 100;
+const GAME_ID_PATTERN = /^[a-z0-9-]{6,64}$/;
+
+/** @type {Map<string, number[]>} Request timestamps per client */
+const requestLog = new Map();
+
+/** @type {Map<string, { used: number, updatedAt: number }>} Keyed by game:<id> and client:<key> */
+const budgets = new Map();
+
+/**
+ * Error thrown when an image request is refused before it reaches a provider.
+ * `status` is the HTTP status the route responds with; `details` is extra JSON for the client.
+ */
+export class ImageRequestError extends Error {
+	/**
+	 * @param {string} message - Human-readable description, shown to the players
+	 * @param {Object} options
+	 * @param {'invalid'|'prompt_too_long'|'rate_limited'|'budget_exhausted'} options.code
+	 * @param {number} [options.status]
+	 * @param {number} [options.retryAfter] - Seconds until a retry can succeed
+	 * @param {Object} [options.details]
+	 */
+	constructor(message, { code, status = 400, retryAfter, details = {} } = {}) {
+		super(message);
+		this.name = 'ImageRequestError';
+		this.code = code;
+		this.status = status;
+		this.retryAfter = retryAfter;
+		this.details = details;
+	}
+}
+
+function readLimit(env, name, fallback) {
+	const value = Number(env[name]);
+	return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// ===== BODY SCHEMA =====
+
+const FIELDS = {
+	prompt: {
+		required: true,
+		maxLength: (env) => readLimit(env, 'IMAGE_PROMPT_MAX_LENGTH', DEFAULT_PROMPT_MAX_LENGTH)
+	},
+	style: { maxLength: () => MAX_STYLE_LENGTH },
+	negativePrompt: { maxLength: () => MAX_NEGATIVE_PROMPT_LENGTH },
+	gameId: { required: true, pattern: GAME_ID_PATTERN }
+};
+
+// Lines and veils, kept apart from the prompt so the server can screen the
+// prompt and then append them itself
+const SAFETY_LISTS = ['lines', 'veils'];
+
+/**
+ * Validate the optional { lines, veils } field
+ * @returns {{ lines: string[], veils: string[] }}
+ */
+function parseSafety(value, errors) {
+	const safety = { lines: [], veils: [] };
+	if (value === undefined) return safety;
+	if (!value || typeof value !== 'object' || Array.isArray(value)) {
+		errors.push('safety must be an object');
+		return safety;
+	}
+
+	for (const list of SAFETY_LISTS) {
+		const items = value[list] ?? [];
+		if (
+			!Array.isArray(items) ||
+			items.length > MAX_SAFETY_ITEMS ||
+			!items.every((item) => typeof item === 'string' && item.length <= MAX_SAFETY_ITEM_LENGTH)
+		) {
+			errors.push(
+				`safety.${list} must be at most ${MAX_SAFETY_ITEMS} strings of up to ${MAX_SAFETY_ITEM_LENGTH} characters`
+			);
+			continue;
+		}
+		safety[list] = items.map((item) => item.trim()).filter(Boolean);
+	}
+	return safety;
+}
+
+/**
+ * Validate a generate-image request body
+ * @param {unknown} body - Parsed JSON body
+ * @param {Record<string, string|undefined>} env - Private env vars
+ * @returns {{ prompt: string, style: string, negativePrompt: string, gameId: string, safety: { lines: string[], veils: string[] } }}
+ * @throws {ImageRequestError} - With every problem found, listed in details.errors
+ */
+export function parseImageRequest(body, env) {
+	if (!body || typeof body !== 'object' || Array.isArray(body)) {
+		throw new ImageRequestError('Request body must be a JSON object', { code: 'invalid' });
+	}
+
+	// Long answers are the players' doing, so this one gets its own player-facing error
+	const maxPromptLength = FIELDS.prompt.maxLength(env);
+	if (typeof body.prompt === 'string' && body.prompt.length > maxPromptLength) {
+		throw new ImageRequestError(
+			'This part of the story is too long to draw. Shorter answers will get an image again.',
+			{ code: 'prompt_too_long', status: 413, details: { maxLength: maxPromptLength } }
+		);
+	}
+
+	const errors = Object.keys(body)
+		.filter((field) => !(field in FIELDS) && field !== 'safety')
+		.map((field) => `Unknown field: ${field}`);
+	const request = {};
+
+	for (const [field, rule] of Object.entries(FIELDS)) {
+		const value = body[field] ?? '';
+		if (typeof value !== 'string') {
+			errors.push(`${field} must be a string`);
+			continue;
+		}
+		if (rule.required && !value.trim()) {
+			errors.push(`${field} is required`);
+		} else if (rule.maxLength && value.length > rule.maxLength(env)) {
+			errors.push(`${field} is longer than ${rule.maxLength(env)} characters`);
+		} else if (rule.pattern && !rule.pattern.test(value)) {
+			errors.push(`${field} is not valid`);
+		}
+		request[field] = value;
+	}
+	request.safety = parseSafety(body.safety, errors);
+
+	if (errors.length > 0) {
+		throw new ImageRequestError(errors.join('. '), { code: 'invalid', details: { errors } });
+	}
+	return request;
+}
+
+// ===== RATE LIMIT =====
+
+/**
+ * Count a request against a client's rate limit. The text routes use it
+ * too, with their own key prefix so they don't eat into the image limit.
+ * @param {Record<string, string|undefined>} env - Private env vars
+ * @param {string} clientKey - The client's IP address, prefixed per route group
+ * @param {Object} [options]
+ * @param {string} [options.label] - What is being requested, for the players' message
+ * @param {number} [options.now]
+ * @throws {ImageRequestError} - 429 once the client is over the limit
+ */
+export function checkRateLimit(env, clientKey, { label = 'images', now = Date.now() } = {}) {
+	const limit = readLimit(env, 'IMAGE_RATE_LIMIT', DEFAULT_RATE_LIMIT);
+	const windowMs = readLimit(env, 'IMAGE_RATE_WINDOW_MS', DEFAULT_RATE_WINDOW_MS);
+	if (limit === 0) return;
+
+	const recent = (requestLog.get(clientKey) || []).filter((time) => now - time < windowMs);
+	if (recent.length >= limit) {
+		const retryAfter = Math.ceil((recent[0] + windowMs - now) / 1000);
+		requestLog.set(clientKey, recent);
+		throw new ImageRequestError(
+			`Too many ${label} requested at once - try again in ${retryAfter} seconds.`,
+			{ code: 'rate_limited', status: 429, retryAfter }
+		);
+	}
+
+	requestLog.set(clientKey, [...recent, now]);
+
+	// Forget clients that have gone quiet
+	for (const [key, times] of requestLog) {
+		if (times.every((time) => now - time >= windowMs)) requestLog.delete(key);
+	}
+}
+
+// ===== BUDGETS =====
+
+function dropIdleBudgets(now) {
+	for (const [key, budget] of budgets) {
+		if (now - budget.updatedAt > BUDGET_IDLE_MS) budgets.delete(key);
+	}
+}
+
+function readBudget(key, limit) {
+	const used = budgets.get(key)?.used || 0;
+	if (limit === 0) return { used, limit: null, remaining: null };
+	return { used, limit, remaining: Math.max(limit - used, 0) };
+}
+
+/**
+ * Where a game stands against its image budget
+ * @param {Record<string, string|undefined>} env - Private env vars
+ * @param {string} gameId
+ * @returns {{ used: number, limit: number|null, remaining: number|null }} - null limit for no budget
+ */
+export function getGenerationBudget(env, gameId) {
+	return readBudget(`game:${gameId}`, readLimit(env, 'IMAGE_GAME_BUDGET', DEFAULT_GAME_BUDGET));
+}
+
+/**
+ * Spend one image from a game's budget and from its client's. The game id
+ * comes from the client, so the client's own budget is what actually caps
+ * spending - starting new games doesn't reset it.
+ * @param {Record<string, string|undefined>} env - Private env vars
+ * @param {string} gameId
+ * @param {string} clientKey - The client's IP address
+ * @returns {{ used: number, limit: number|null, remaining: number|null }} - The game's budget after spending
+ * @throws {ImageRequestError} - 429 once the game or the client has used its budget
+ */
+export function useGenerationBudget(env, gameId, clientKey, now = Date.now()) {
+	const budget = getGenerationBudget(env, gameId);
+	if (budget.remaining === 0) {
+		throw new ImageRequestError(
+			`This game has used all ${budget.limit} of its images. The story can go on without new pictures.`,
+			{ code: 'budget_exhausted', status: 429, details: { budget } }
+		);
+	}
+
+	const clientBudget = readBudget(
+		`client:${clientKey}`,
+		readLimit(env, 'IMAGE_CLIENT_BUDGET', DEFAULT_CLIENT_BUDGET)
+	);
+	if (clientBudget.remaining === 0) {
+		throw new ImageRequestError(
+			'This device has used all of its images for now. The story can go on without new pictures.',
+			{ code: 'budget_exhausted', status: 429, details: { budget } }
+		);
+	}
+
+	dropIdleBudgets(now);
+	budgets.set(`game:${gameId}`, { used: budget.used + 1, updatedAt: now });
+	budgets.set(`client:${clientKey}`, { used: clientBudget.used + 1, updatedAt: now });
+	return getGenerationBudget(env, gameId);
+}
+
+/**
+ * Give back an image the provider failed to produce
+ * @param {string} gameId
+ * @param {string} clientKey
+ */
+export function refundGenerationBudget(gameId, clientKey) {
+	for (const key of [`game:${gameId}`, `client:${clientKey}`]) {
+		const budget = budgets.get(key);
+		if (budget && budget.used > 0) {
+			budgets.set(key, { ...budget, used: budget.used - 1 });
+		}
+	}
+}
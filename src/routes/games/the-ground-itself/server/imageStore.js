@@ -0,0 +1,196 @@
+// src/routes/games/the-ground-itself/server/imageStore.js
+
+/**
+ * IMAGE STORE (SERVER ONLY)
+ *
+ * Keeps every generated image so it can be served from a stable app route
+ * (/games/the-ground-itself/api/images/<key>) instead of short-lived provider
+ * URLs, and so repeat prompts come back from the cache instead of being
+ * generated again.
+ *
+ * Images are keyed by a hash of provider + style + prompt. Stores implement:
+ *
+ *   get(key)          → Promise<{ data?: Buffer, sourceUrl?: string, mimeType, ... } | null>
+ *   put(key, entry)   → Promise<void>
+ *
+ * An entry holds the image bytes (`data`) when we could fetch them, or just
+ * the `sourceUrl` when we couldn't (e.g. offline mock placeholders). Only
+ * entries with bytes count as cached - see getCachedImage().
+ *
+ * Env config:
+ *   IMAGE_STORE       disk | memory             (default: disk)
+ *   IMAGE_STORE_DIR   directory for disk store  (default: .image-cache)
+ */
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+export const IMAGE_ROUTE = '/games/the-ground-itself/api/images';
+
+const KEY_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * Build the cache key for an image
+ * @param {{ prompt: string, style?: string, provider: string, negativePrompt?: string }} params
+ * @returns {string} - sha256 hex digest
+ */
+export function getImageKey({ prompt, style = '', provider, negativePrompt = '' }) {
+	// Keys without a negative prompt match the ones stored before it existed
+	const parts = negativePrompt
+		? [provider, style, prompt, negativePrompt]
+		: [provider, style, prompt];
+	return createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+/**
+ * @param {string} key - Cache key
+ * @returns {boolean} - Whether the key is a well-formed image key (guards the file path)
+ */
+export function isValidImageKey(key) {
+	return KEY_PATTERN.test(key);
+}
+
+/**
+ * @param {string} key - Cache key
+ * @returns {string} - Stable app URL the image is served from
+ */
+export function getImageRoute(key) {
+	return `${IMAGE_ROUTE}/${key}`;
+}
+
+// ===== STORES =====
+
+/**
+ * Store images as files: <key>.bin for bytes, <key>.json for metadata
+ * @param {string} directory - Where to keep the files
+ */
+export function createDiskImageStore(directory) {
+	let ready = null;
+	const ensureDirectory = () => (ready ??= mkdir(directory, { recursive: true }));
+
+	return {
+		async get(key) {
+			try {
+				const meta = JSON.parse(await readFile(path.join(directory, `${key}.json`), 'utf8'));
+				if (meta.sourceUrl) return meta;
+				const data = await readFile(path.join(directory, `${key}.bin`));
+				return { ...meta, data };
+			} catch (error) {
+				if (error.code === 'ENOENT') return null;
+				throw error;
+			}
+		},
+
+		async put(key, { data, ...meta }) {
+			await ensureDirectory();
+			if (data) {
+				await writeFile(path.join(directory, `${key}.bin`), data);
+			}
+			// Metadata last, so a half-written entry is never read as complete
+			await writeFile(path.join(directory, `${key}.json`), JSON.stringify(meta));
+		}
+	};
+}
+
+/**
+ * Keep images in process memory - for tests and throwaway servers
+ */
+export function createMemoryImageStore() {
+	const entries = new Map();
+	return {
+		async get(key) {
+			return entries.get(key) || null;
+		},
+		async put(key, entry) {
+			entries.set(key, entry);
+		}
+	};
+}
+
+let configuredStore = null;
+
+/**
+ * The image store selected by env config (created once per server process)
+ * @param {Record<string, string|undefined>} env - Private env vars
+ */
+export function getImageStore(env) {
+	if (!configuredStore) {
+		configuredStore =
+			(env.IMAGE_STORE || 'disk').toLowerCase() === 'memory'
+				? createMemoryImageStore()
+				: createDiskImageStore(path.resolve(env.IMAGE_STORE_DIR || '.image-cache'));
+	}
+	return configuredStore;
+}
+
+// ===== SAVING PROVIDER RESULTS =====
+
+const DOWNLOAD_TIMEOUT_MS = 15000;
+
+/**
+ * Download an image so it outlives the provider's link
+ * @param {string} url - Provider image URL
+ * @returns {Promise<{ mimeType: string, data: Buffer }>}
+ */
+async function downloadImage(url) {
+	const response = await fetch(url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+	if (!response.ok) throw new Error(`HTTP ${response.status}`);
+	return {
+		mimeType: response.headers.get('content-type') || 'image/png',
+		data: Buffer.from(await response.arrayBuffer())
+	};
+}
+
+/**
+ * The stored image for `key`, if its bytes are kept. An entry that only
+ * remembers the provider's URL (its download failed) is not a cache hit:
+ * the download is retried, and if the link has gone too the caller
+ * generates the image again rather than serving a dead URL forever.
+ * @param {Object} store - Image store
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} - Entry with `data`, or null
+ */
+export async function getCachedImage(store, key) {
+	const entry = await store.get(key);
+	if (!entry) return null;
+	if (!entry.sourceUrl) return entry;
+
+	try {
+		const { sourceUrl, ...meta } = entry;
+		const downloaded = { ...meta, ...(await downloadImage(sourceUrl)) };
+		await store.put(key, downloaded);
+		return downloaded;
+	} catch (error) {
+		console.warn('Stored image is still only a URL, generating it again:', error.message);
+		return null;
+	}
+}
+
+/**
+ * Save a provider result under `key`. URL results are downloaded so they
+ * outlive the provider's link; if that fails the URL itself is remembered.
+ * @param {Object} store - Image store
+ * @param {string} key - Cache key
+ * @param {{ imageUrl?: string, imageBase64?: string, mimeType?: string }} result - Provider result
+ * @param {Object} meta - Extra metadata to keep (prompt, provider, ...)
+ */
+export async function saveProviderResult(store, key, result, meta = {}) {
+	const entry = { ...meta, createdAt: Date.now() };
+
+	if (result.imageBase64) {
+		await store.put(key, {
+			...entry,
+			mimeType: result.mimeType || 'image/png',
+			data: Buffer.from(result.imageBase64, 'base64')
+		});
+		return;
+	}
+
+	try {
+		await store.put(key, { ...entry, ...(await downloadImage(result.imageUrl)) });
+	} catch (error) {
+		console.warn('Could not download generated image, caching its URL instead:', error.message);
+		await store.put(key, { ...entry, sourceUrl: result.imageUrl });
+	}
+}
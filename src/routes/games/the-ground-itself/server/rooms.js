@@ -0,0 +1,498 @@
+// src/routes/games/the-ground-itself/server/rooms.js
+
+/**
+ * MULTIPLAYER ROOMS (SERVER ONLY)
+ *
+ * An in-memory relay for remote play. Each room holds the authoritative
+ * copy of one game's state; participants push the state they produced and
+ * every connected browser receives it over a server-sent event stream
+ * (see api/rooms/[code]/events).
+ *
+ * Each participant has a public id, which the whole room sees, and a
+ * secret token returned only to them. Every write is checked against the
+ * token, so knowing someone's id doesn't let you act as them.
+ *
+ * Writes are versioned: a client sends the version its change was based on,
+ * and a stale write is rejected with the current state so it can catch up.
+ * During main play only the participant seated as the acting player may
+ * write; setup, time gaps and the ending are shared by the whole table.
+ * Only the host may start a game, change its roster or settings, or load
+ * another one - everyone else can only change the fields play produces.
+ *
+ * Rooms live in this process only - run the app locally (npm run dev or
+ * npm run preview) and share the room code. Idle rooms are dropped.
+ */
+
+import { json } from '@sveltejs/kit';
+import { randomBytes, randomUUID } from 'node:crypto';
+
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 6;
+const ROOM_IDLE_MS = 6 * 60 * 60 * 1000;
+const MAX_COMMENTS = 200;
+const MAX_COMMENT_LENGTH = 500;
+const MAX_NAME_LENGTH = 40;
+const PARTICIPANT_TOKEN_BYTES = 32;
+// Game states are a few hundred KB at most once images are served by URL
+const MAX_STATE_BYTES = 2 * 1024 * 1024;
+
+// Fields that make up a turn - only the acting player may change them during main play,
+// along with the history (see changesTurn). Everything else (images arriving late,
+// cached summaries) can come from whoever produced it.
+const TURN_FIELDS = [
+	'currentPhase',
+	'turnState',
+	'activeCard',
+	'numericalDeck',
+	'currentPlayerIndex',
+	'cardRankCounts',
+	'tensDrawn',
+	'currentCycle',
+	'answers',
+	'timeGaps',
+	'codex'
+];
+
+// Fields that playing the game changes - the only ones a participant other
+// than the host may write. The rest (game id, seed, roster, deck pack, rules,
+// lines and veils, place, style, prompt templates) is the host's to set.
+const PARTICIPANT_FIELDS = new Set([
+	...TURN_FIELDS,
+	'timelineUnit',
+	'timelineRoll',
+	'timelineDescription',
+	'timelineImplication',
+	'timelineExample',
+	'timelineRollCount',
+	'faceCardDeck',
+	'currentFaceCard',
+	'faceCardIndex',
+	'faceCardsComplete',
+	'answeredQuestionCount',
+	'recentAnswers',
+	'setupAnswers',
+	'tenCardSetAside',
+	'history',
+	'storySummary',
+	'imagePrompt',
+	'currentImageUrl',
+	'isGeneratingImage',
+	'isDevelopmentMode',
+	'lastGeneratedPrompt'
+]);
+
+/** @type {Map<string, Object>} */
+const rooms = new Map();
+
+/**
+ * Error thrown by room operations.
+ * `status` is the HTTP status the route responds with; `details` is extra JSON for the client.
+ */
+export class RoomError extends Error {
+	/**
+	 * @param {string} message - Human-readable description
+	 * @param {Object} options
+	 * @param {'not_found'|'forbidden'|'conflict'|'invalid'|'too_large'} options.code
+	 * @param {number} [options.status]
+	 * @param {Object} [options.details]
+	 */
+	constructor(message, { code, status = 400, details = {} } = {}) {
+		super(message);
+		this.name = 'RoomError';
+		this.code = code;
+		this.status = status;
+		this.details = details;
+	}
+}
+
+// ===== HELPERS =====
+
+function createRoomCode() {
+	let code;
+	do {
+		code = Array.from(
+			randomBytes(ROOM_CODE_LENGTH),
+			(byte) => ROOM_CODE_ALPHABET[byte % ROOM_CODE_ALPHABET.length]
+		).join('');
+	} while (rooms.has(code));
+	return code;
+}
+
+function cleanName(name) {
+	return (
+		String(name || '')
+			.trim()
+			.slice(0, MAX_NAME_LENGTH) || 'Guest'
+	);
+}
+
+function dropIdleRooms() {
+	const cutoff = Date.now() - ROOM_IDLE_MS;
+	for (const [code, room] of rooms) {
+		if (room.updatedAt < cutoff && room.listeners.size === 0) {
+			rooms.delete(code);
+		}
+	}
+}
+
+function requireRoom(code) {
+	const room = rooms.get(String(code || '').toUpperCase());
+	if (!room) {
+		throw new RoomError('Room not found - check the code or start a new room', {
+			code: 'not_found',
+			status: 404
+		});
+	}
+	return room;
+}
+
+function requireParticipant(room, token) {
+	const participant =
+		typeof token === 'string' && token
+			? [...room.participants.values()].find((candidate) => candidate.token === token)
+			: null;
+	if (!participant) {
+		throw new RoomError('You are not part of this room', { code: 'forbidden', status: 403 });
+	}
+	return participant;
+}
+
+/**
+ * Roster seat whose turn it is, mirroring the rotation in gameActions.js:
+ * before a draw it is the next player, once a card is drawn it is the drawer.
+ * Nobody holds the AI co-player's seat - the whole table acts for it.
+ * @returns {string|null} - Player id, or null when the whole table may act
+ */
+function getActingPlayerId(state) {
+	const players = state?.players || [];
+	if (players.length === 0 || state.currentPhase !== 'mainPlay') return null;
+
+	const index =
+		state.turnState === 'drawing'
+			? (state.currentPlayerIndex + 1) % players.length
+			: state.currentPlayerIndex;
+	const player = players[index];
+	return player && !player.isAi ? player.id : null;
+}
+
+function isSameValue(a, b) {
+	return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// History as far as turns go - an event's image is filled in after the turn,
+// by whichever browser generated it
+function withoutImages(history = []) {
+	return history.map((event) => ({ ...event, imageUrl: null, imagePrompt: null }));
+}
+
+/**
+ * Whether `next` changes the turn compared to `previous` rather than just
+ * filling in details (images, summaries) on events that already exist
+ */
+function changesTurn(previous, next) {
+	return (
+		TURN_FIELDS.some((field) => !isSameValue(previous[field], next[field])) ||
+		!isSameValue(withoutImages(previous.history), withoutImages(next.history))
+	);
+}
+
+/**
+ * Why a participant other than the host may not write `next`, or null if
+ * it only changes fields that playing the game produces
+ */
+function getHostOnlyChange(previous, next) {
+	if (!isSameValue(previous.players, next.players)) {
+		return 'Only the host can change the roster';
+	}
+	const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+	for (const key of keys) {
+		if (!PARTICIPANT_FIELDS.has(key) && !isSameValue(previous[key], next[key])) {
+			return "Only the host can start a game or change this game's settings";
+		}
+	}
+	return null;
+}
+
+function toPublicParticipant(participant) {
+	return {
+		id: participant.id,
+		name: participant.name,
+		playerId: participant.playerId,
+		isHost: participant.isHost,
+		connected: participant.connections > 0
+	};
+}
+
+/**
+ * What every client sees about a room
+ */
+function toSnapshot(room) {
+	return {
+		code: room.code,
+		version: room.version,
+		state: room.state,
+		participants: [...room.participants.values()].map(toPublicParticipant),
+		comments: room.comments
+	};
+}
+
+function broadcast(room, event, data) {
+	for (const listener of room.listeners) {
+		listener(event, data);
+	}
+}
+
+function broadcastParticipants(room) {
+	broadcast(room, 'participants', [...room.participants.values()].map(toPublicParticipant));
+}
+
+function addParticipant(room, name, isHost) {
+	const participant = {
+		id: randomUUID(),
+		// Secret - never broadcast (see toPublicParticipant)
+		token: randomBytes(PARTICIPANT_TOKEN_BYTES).toString('base64url'),
+		name: cleanName(name),
+		playerId: null,
+		isHost,
+		connections: 0
+	};
+	room.participants.set(participant.id, participant);
+	return participant;
+}
+
+// ===== ROOM OPERATIONS =====
+
+/**
+ * Open a room around an existing game
+ * @param {Object} state - The host's current game state
+ * @param {string} hostName - Display name of the host
+ * @returns {{ participantId: string, token: string, room: Object }}
+ */
+export function createRoom(state, hostName) {
+	dropIdleRooms();
+
+	const room = {
+		code: createRoomCode(),
+		version: 1,
+		state,
+		participants: new Map(),
+		comments: [],
+		listeners: new Set(),
+		updatedAt: Date.now()
+	};
+	rooms.set(room.code, room);
+
+	const host = addParticipant(room, hostName, true);
+	return { participantId: host.id, token: host.token, room: toSnapshot(room) };
+}
+
+/**
+ * Join a room as a new participant (spectator until they take a seat)
+ * @returns {{ participantId: string, token: string, room: Object }}
+ */
+export function joinRoom(code, name) {
+	const room = requireRoom(code);
+	const participant = addParticipant(room, name, false);
+	room.updatedAt = Date.now();
+	broadcastParticipants(room);
+	return { participantId: participant.id, token: participant.token, room: toSnapshot(room) };
+}
+
+/**
+ * Current room snapshot for a participant reconnecting after a reload
+ */
+export function getRoom(code, token) {
+	const room = requireRoom(code);
+	requireParticipant(room, token);
+	return toSnapshot(room);
+}
+
+/**
+ * Change a participant's name or roster seat
+ * @param {{ name?: string, playerId?: string|null }} changes
+ */
+export function updateParticipant(code, token, changes) {
+	const room = requireRoom(code);
+	const participant = requireParticipant(room, token);
+
+	if (changes.name !== undefined) {
+		participant.name = cleanName(changes.name);
+	}
+	if (changes.playerId !== undefined) {
+		const playerId = changes.playerId || null;
+		const seat = (room.state?.players || []).find((player) => player.id === playerId);
+		if (playerId && !seat) {
+			throw new RoomError('That seat is not on the roster', { code: 'invalid' });
+		}
+		if (seat?.isAi) {
+			throw new RoomError('The AI co-player seat is played by the whole table', {
+				code: 'invalid'
+			});
+		}
+		const holder = [...room.participants.values()].find(
+			(other) => other.playerId === playerId && other.id !== participant.id
+		);
+		if (playerId && holder) {
+			throw new RoomError(`${holder.name} is already playing that seat`, { code: 'invalid' });
+		}
+		participant.playerId = playerId;
+	}
+
+	room.updatedAt = Date.now();
+	broadcastParticipants(room);
+	return toPublicParticipant(participant);
+}
+
+/**
+ * Replace the room's game state with a participant's newer state
+ * @param {string} code - Room code
+ * @param {string} token - Secret token of the participant writing
+ * @param {number} baseVersion - Version the change was made on top of
+ * @param {Object} state - The new game state
+ * @returns {number} - The new version
+ */
+export function pushState(code, token, baseVersion, state) {
+	const room = requireRoom(code);
+	const participant = requireParticipant(room, token);
+
+	if (baseVersion !== room.version) {
+		throw new RoomError('Someone else changed the game first', {
+			code: 'conflict',
+			status: 409,
+			details: { version: room.version, state: room.state }
+		});
+	}
+
+	const hostOnlyChange = participant.isHost ? null : getHostOnlyChange(room.state, state);
+	if (hostOnlyChange) {
+		throw new RoomError(hostOnlyChange, {
+			code: 'forbidden',
+			status: 403,
+			details: { version: room.version, state: room.state }
+		});
+	}
+
+	const actingPlayerId = getActingPlayerId(room.state);
+	if (actingPlayerId && participant.playerId !== actingPlayerId && changesTurn(room.state, state)) {
+		throw new RoomError("It isn't your turn", {
+			code: 'forbidden',
+			status: 403,
+			details: { version: room.version, state: room.state }
+		});
+	}
+
+	room.state = state;
+	room.version += 1;
+	room.updatedAt = Date.now();
+	broadcast(room, 'state', { version: room.version, state, by: participant.id });
+	return room.version;
+}
+
+/**
+ * Add a spectator comment to the room's chat
+ */
+export function addComment(code, token, text) {
+	const room = requireRoom(code);
+	const participant = requireParticipant(room, token);
+	const trimmed = String(text || '')
+		.trim()
+		.slice(0, MAX_COMMENT_LENGTH);
+	if (!trimmed) {
+		throw new RoomError('Comment is empty', { code: 'invalid' });
+	}
+
+	const comment = {
+		id: randomUUID(),
+		participantId: participant.id,
+		name: participant.name,
+		text: trimmed,
+		timestamp: Date.now()
+	};
+	room.comments = [...room.comments, comment].slice(-MAX_COMMENTS);
+	room.updatedAt = Date.now();
+	broadcast(room, 'comment', comment);
+	return comment;
+}
+
+/**
+ * Tell the room someone tapped the X-card. Anyone may, whoever's turn it is;
+ * the acting player's browser sets the prompt aside. The event carries no
+ * name, so nobody has to explain themselves.
+ */
+export function tapXCard(code, token) {
+	const room = requireRoom(code);
+	requireParticipant(room, token);
+	room.updatedAt = Date.now();
+	broadcast(room, 'xcard', { timestamp: Date.now() });
+}
+
+/**
+ * Listen to a room's events while a participant's stream is open
+ * @param {string} code - Room code
+ * @param {string} token - Secret token of whose stream this is (for presence)
+ * @param {(event: string, data: unknown) => void} listener
+ * @returns {() => void} - Stop listening
+ */
+export function subscribe(code, token, listener) {
+	const room = requireRoom(code);
+	const participant = requireParticipant(room, token);
+
+	room.listeners.add(listener);
+	participant.connections += 1;
+	broadcastParticipants(room);
+
+	return () => {
+		room.listeners.delete(listener);
+		participant.connections -= 1;
+		room.updatedAt = Date.now();
+		broadcastParticipants(room);
+	};
+}
+
+/**
+ * Read a room request's JSON body, refusing it once it grows past the size
+ * a game state can reach - counted on the bytes actually read, since the
+ * content-length header is only the client's word
+ * @param {Request} request
+ * @returns {Promise<Object>}
+ * @throws {RoomError} - If the body is too large or not JSON
+ */
+export async function readRoomRequest(request) {
+	const chunks = [];
+	let size = 0;
+
+	if (request.body) {
+		const reader = request.body.getReader();
+		for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+			size += chunk.value.byteLength;
+			if (size > MAX_STATE_BYTES) {
+				await reader.cancel();
+				throw new RoomError('Game state is too large', { code: 'too_large', status: 413 });
+			}
+			chunks.push(chunk.value);
+		}
+	}
+
+	try {
+		return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+	} catch {
+		throw new RoomError('Request body must be JSON', { code: 'invalid' });
+	}
+}
+
+/**
+ * JSON error response for a failed room route
+ * @param {unknown} error
+ * @returns {Response}
+ */
+export function roomErrorResponse(error) {
+	if (error instanceof RoomError) {
+		return json(
+			{ success: false, error: error.message, code: error.code, ...error.details },
+			{ status: error.status }
+		);
+	}
+
+	console.error('Room error:', error);
+	return json({ success: false, error: 'Room request failed' }, { status: 500 });
+}
@@ -0,0 +1,466 @@
+// src/routes/games/the-ground-itself/server/textProviders.js
+
+/**
+ * TEXT PROVIDERS (SERVER ONLY)
+ *
+ * Text models that keep the rolling story summary used by image prompts,
+ * suggest entries for the place codex and draft the AI co-player's turns.
+ * Every backend implements:
+ *
+ *   provider.summarize({ settingDescription, events, previousSummary, sinceIndex }, { timeoutMs }) →
+ *     Promise<{ setup, cycles: [{ cycle, summary }], current }>
+ *   provider.extractEntities({ settingDescription, events, codex }, { timeoutMs }) →
+ *     Promise<[{ kind, name, description, cycle, eventId }]>
+ *   provider.playTurn(request, { timeoutMs }) → Promise<draft>   (shapes in logic/coPlayer.js)
+ *
+ * and throws TextProviderError on failure. `previousSummary` covers
+ * events[0..sinceIndex); models only need to fold in the newer events.
+ * extractEntities() leaves out names already in `codex`.
+ *
+ * Providers:
+ * - local:  deterministic summary from logic/storySummary.js, codex
+ *           suggestions from logic/codex.js and co-player drafts from
+ *           logic/coPlayer.js, no network
+ * - openai: any OpenAI-compatible /chat/completions endpoint (Ollama, LM Studio, ...)
+ * - gemini: Google Gemini via @google/generative-ai
+ *
+ * Env config:
+ *   TEXT_PROVIDER      local | openai | gemini   (default: local)
+ *   TEXT_TIMEOUT_MS    request timeout in ms     (default: 20000)
+ *   OPENAI_API_KEY, OPENAI_CHAT_URL, OPENAI_TEXT_MODEL
+ *   GEMINI_API_KEY, GEMINI_TEXT_MODEL
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { buildLocalSummary, isValidSummary } from '../logic/storySummary.js';
+import {
+	CODEX_KINDS,
+	hasCodexEntry,
+	isValidSuggestionList,
+	normalizeCodexEntry,
+	suggestLocalEntities
+} from '../logic/codex.js';
+import { draftLocalTurn, normalizeCoPlayerDraft } from '../logic/coPlayer.js';
+
+const DEFAULT_TIMEOUT_MS = 20000;
+
+/**
+ * Error thrown by text providers. Mirrors ImageProviderError.
+ */
+export class TextProviderError extends Error {
+	/**
+	 * @param {string} message - Human-readable description
+	 * @param {Object} details
+	 * @param {'config'|'timeout'|'provider'|'invalid_response'} details.code
+	 * @param {string} details.provider - Provider name
+	 * @param {number} [details.status] - HTTP status for the route response
+	 * @param {unknown} [details.cause] - Underlying error
+	 */
+	constructor(message, { code, provider, status = 502, cause } = {}) {
+		super(message, { cause });
+		this.name = 'TextProviderError';
+		this.code = code;
+		this.provider = provider;
+		this.status = status;
+	}
+}
+
+function requireSetting(provider, env, name) {
+	const value = env[name];
+	if (!value) {
+		throw new TextProviderError(`${name} must be set to use the ${provider} text provider`, {
+			code: 'config',
+			provider,
+			status: 500
+		});
+	}
+	return value;
+}
+
+// ===== SUMMARY PROMPT =====
+
+const SUMMARY_INSTRUCTIONS = `You keep the memory for "The Ground Itself", a storytelling game about one single place over a long span of time. An image model draws the place after every turn and only sees what you write, so be concrete and visual.
+
+Reply with JSON only, in exactly this shape:
+{"setup": "...", "cycles": [{"cycle": 1, "summary": "..."}], "current": "..."}
+
+- setup: one or two sentences on how the place was established.
+- cycles: one or two sentences per cycle played so far, including the time gap that ended it.
+- current: what the place looks like right now - its landmarks, structures and inhabitants.
+Keep every field under 60 words. Never invent events the players did not describe.`;
+
+function describeEvent(event) {
+	const label = event.type === 'timeGap' ? 'Time gap' : `Cycle ${event.cycle}`;
+	return `- [${label}] ${event.question ? `${event.question} → ` : ''}${event.answer || ''}`;
+}
+
+/**
+ * Build the user message for a summary request
+ */
+function buildSummaryRequest({ settingDescription, events, previousSummary, sinceIndex = 0 }) {
+	const parts = [`The place: ${settingDescription || 'a mysterious place'}`];
+
+	if (previousSummary) {
+		parts.push(
+			`Summary so far:\n${JSON.stringify({
+				setup: previousSummary.setup,
+				cycles: previousSummary.cycles,
+				current: previousSummary.current
+			})}`
+		);
+		parts.push(`New events to fold in:\n${events.slice(sinceIndex).map(describeEvent).join('\n')}`);
+	} else {
+		parts.push(`Everything that has happened:\n${events.map(describeEvent).join('\n')}`);
+	}
+
+	return parts.join('\n\n');
+}
+
+/**
+ * Pull the summary JSON out of a model reply
+ */
+function parseSummary(provider, text) {
+	const match = text?.match(/\{[\s\S]*\}/);
+	let summary = null;
+	try {
+		summary = match ? JSON.parse(match[0]) : null;
+	} catch {
+		summary = null;
+	}
+
+	if (!isValidSummary(summary)) {
+		throw new TextProviderError(`${provider} returned a summary in an unexpected shape`, {
+			code: 'invalid_response',
+			provider
+		});
+	}
+
+	return {
+		setup: summary.setup,
+		cycles: summary.cycles.map((entry) => ({
+			cycle: Number(entry.cycle),
+			summary: entry.summary
+		})),
+		current: summary.current
+	};
+}
+
+// ===== CODEX PROMPT =====
+
+const ENTITY_INSTRUCTIONS = `You keep the codex for "The Ground Itself", a storytelling game about one single place over a long span of time. Read the players' answers and list the named things that recur or matter: people, landmarks, groups, objects, and the names the place itself has gone by.
+
+Reply with JSON only, in exactly this shape:
+{"entities": [{"kind": "landmark", "name": "...", "description": "...", "eventId": "..."}]}
+
+- kind: one of ${Object.keys(CODEX_KINDS).join(', ')}. Use "name" only for names of the place itself.
+- name: as the players wrote it.
+- description: one sentence on what it looks like or is, from the answers only - under 40 words.
+- eventId: the id of the answer that first mentions it.
+List at most 8. Leave out anything in the existing codex. Never invent things the players did not describe.`;
+
+function describeEntityEvent(event) {
+	return `- [${event.id}, cycle ${event.cycle}] ${event.question ? `${event.question} → ` : ''}${event.answer || ''}`;
+}
+
+/**
+ * Build the user message for a codex request
+ */
+function buildEntityRequest({ settingDescription, events, codex = [] }) {
+	const parts = [`The place: ${settingDescription || 'a mysterious place'}`];
+	if (codex.length > 0) {
+		parts.push(`Existing codex: ${codex.map((entry) => entry.name).join(', ')}`);
+	}
+	parts.push(
+		`Answers:\n${events
+			.filter((event) => event.answer)
+			.map(describeEntityEvent)
+			.join('\n')}`
+	);
+	return parts.join('\n\n');
+}
+
+/**
+ * Pull the codex suggestions out of a model reply
+ */
+function parseEntities(provider, text, { events, codex = [] }) {
+	const match = text?.match(/\{[\s\S]*\}/);
+	let entities = null;
+	try {
+		entities = match ? JSON.parse(match[0]).entities : null;
+	} catch {
+		entities = null;
+	}
+
+	if (!isValidSuggestionList(entities)) {
+		throw new TextProviderError(`${provider} returned codex entries in an unexpected shape`, {
+			code: 'invalid_response',
+			provider
+		});
+	}
+
+	// Only keep answer ids the model was actually given
+	return entities
+		.filter((entity) => entity.name.trim() && !hasCodexEntry(codex, entity.name))
+		.map((entity) => {
+			const event = events.find((candidate) => candidate.id === entity.eventId);
+			return normalizeCodexEntry({ ...entity, cycle: event?.cycle, eventId: event?.id });
+		});
+}
+
+// ===== CO-PLAYER PROMPT =====
+
+const CO_PLAYER_INSTRUCTIONS = `You are one of the players at a table playing "The Ground Itself", a storytelling game about one single place over a long span of time. Everything happens in this one place. On your turn you add to the story the others have been telling.
+
+Write like a thoughtful player: concrete, specific to this place, two to four sentences. Build on what the others said - reuse the names, landmarks and details from their answers and the codex - and never contradict them. Respect the table's lines and veils.
+
+Reply with JSON only, in the shape the request asks for.`;
+
+const TURN_SHAPES = {
+	card: '{"choice": "answer", "situation": null, "answer": "..."} - or, to play one of the focused situations instead of answering, {"choice": "situation", "situation": "<its exact name>", "answer": "..."}',
+	tenCard: '{"question": "<one of the prompts, exactly as written>", "answer": "..."}',
+	timeGap: '{"answers": ["...", "..."]} - one answer per question, in order'
+};
+
+function describeCodexEntry(entry) {
+	return `${entry.name} (${entry.kind})${entry.description ? `: ${entry.description}` : ''}`;
+}
+
+function bulletList(items) {
+	return items.map((item) => `- ${item}`).join('\n');
+}
+
+/**
+ * Build the user message for a co-player turn
+ */
+function buildTurnRequest(request) {
+	const events = request.events || [];
+	const parts = [
+		`The place: ${request.settingDescription || 'a mysterious place'}`,
+		`The story so far:\n${events.length > 0 ? events.map(describeEvent).join('\n') : '- Nothing yet.'}`
+	];
+	if (request.codex?.length > 0) {
+		parts.push(`Codex:\n${bulletList(request.codex.map(describeCodexEntry))}`);
+	}
+	if (request.lines?.length > 0) {
+		parts.push(`Lines - never include: ${request.lines.join('; ')}`);
+	}
+	if (request.veils?.length > 0) {
+		parts.push(`Veils - may happen, but only off-screen: ${request.veils.join('; ')}`);
+	}
+
+	if (request.kind === 'card') {
+		parts.push(`Your card asks: ${request.question}`);
+		if (request.situations?.length > 0) {
+			const situations = request.situations.map(
+				(situation) => `${situation.name}: ${situation.description || ''}`
+			);
+			parts.push(`Focused situations you may play instead:\n${bulletList(situations)}`);
+		}
+	} else if (request.kind === 'tenCard') {
+		parts.push(
+			`A ten was drawn. Choose one of these prompts and answer it:\n${bulletList(request.questions)}`
+		);
+	} else {
+		parts.push(
+			`Time has just moved ${request.direction} ${request.amount} ${request.unit}. Answer each question about the place as it is now, in order:\n${bulletList(request.questions)}`
+		);
+	}
+
+	parts.push(`Reply in this shape: ${TURN_SHAPES[request.kind]}`);
+	return parts.join('\n\n');
+}
+
+/**
+ * Pull the co-player's draft out of a model reply
+ */
+function parseTurn(provider, text, request) {
+	const match = text?.match(/\{[\s\S]*\}/);
+	let draft = null;
+	try {
+		draft = match ? normalizeCoPlayerDraft(request, JSON.parse(match[0])) : null;
+	} catch {
+		draft = null;
+	}
+
+	if (!draft) {
+		throw new TextProviderError(
+			`${provider} returned a ${request.kind} turn in an unexpected shape`,
+			{
+				code: 'invalid_response',
+				provider
+			}
+		);
+	}
+	return draft;
+}
+
+// ===== PROVIDERS =====
+
+function createLocalProvider() {
+	return {
+		name: 'local',
+		async summarize({ settingDescription, events }) {
+			return buildLocalSummary(settingDescription, events);
+		},
+		async extractEntities({ events, codex }) {
+			return suggestLocalEntities(events, codex);
+		},
+		async playTurn(request) {
+			return draftLocalTurn(request);
+		}
+	};
+}
+
+function createOpenAIProvider(env) {
+	const apiKey = requireSetting('openai', env, 'OPENAI_API_KEY');
+	const url = env.OPENAI_CHAT_URL || 'https://api.openai.com/v1/chat/completions';
+	const model = env.OPENAI_TEXT_MODEL || 'gpt-4o-mini';
+
+	async function complete(instructions, content, timeoutMs) {
+		let response;
+		try {
+			response = await fetch(url, {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+					Authorization: `Bearer ${apiKey}`
+				},
+				body: JSON.stringify({
+					model,
+					temperature: 0.2,
+					messages: [
+						{ role: 'system', content: instructions },
+						{ role: 'user', content }
+					]
+				}),
+				signal: AbortSignal.timeout(timeoutMs)
+			});
+		} catch (error) {
+			const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+			throw new TextProviderError(
+				timedOut
+					? `openai timed out after ${timeoutMs}ms`
+					: `Could not reach openai: ${error.message}`,
+				{
+					code: timedOut ? 'timeout' : 'provider',
+					provider: 'openai',
+					status: timedOut ? 504 : 502,
+					cause: error
+				}
+			);
+		}
+
+		if (!response.ok) {
+			const body = (await response.text().catch(() => '')).slice(0, 300);
+			throw new TextProviderError(`openai responded with HTTP ${response.status}: ${body}`, {
+				code: 'provider',
+				provider: 'openai'
+			});
+		}
+
+		const body = await response.json();
+		return body?.choices?.[0]?.message?.content;
+	}
+
+	return {
+		name: 'openai',
+		async summarize(request, { timeoutMs }) {
+			const text = await complete(SUMMARY_INSTRUCTIONS, buildSummaryRequest(request), timeoutMs);
+			return parseSummary('openai', text);
+		},
+		async extractEntities(request, { timeoutMs }) {
+			const text = await complete(ENTITY_INSTRUCTIONS, buildEntityRequest(request), timeoutMs);
+			return parseEntities('openai', text, request);
+		},
+		async playTurn(request, { timeoutMs }) {
+			const text = await complete(CO_PLAYER_INSTRUCTIONS, buildTurnRequest(request), timeoutMs);
+			return parseTurn('openai', text, request);
+		}
+	};
+}
+
+function createGeminiProvider(env) {
+	const apiKey = requireSetting('gemini', env, 'GEMINI_API_KEY');
+	const modelName = env.GEMINI_TEXT_MODEL || 'gemini-1.5-flash';
+	const genAI = new GoogleGenerativeAI(apiKey);
+
+	async function complete(instructions, content, timeoutMs) {
+		const model = genAI.getGenerativeModel(
+			{
+				model: modelName,
+				systemInstruction: instructions,
+				generationConfig: { responseMimeType: 'application/json', temperature: 0.2 }
+			},
+			{ timeout: timeoutMs }
+		);
+
+		let result;
+		try {
+			result = await model.generateContent(content);
+		} catch (error) {
+			const timedOut = error.name === 'GoogleGenerativeAIAbortError';
+			throw new TextProviderError(
+				timedOut
+					? `gemini timed out after ${timeoutMs}ms`
+					: `gemini request failed: ${error.message}`,
+				{
+					code: timedOut ? 'timeout' : 'provider',
+					provider: 'gemini',
+					status: timedOut ? 504 : 502,
+					cause: error
+				}
+			);
+		}
+
+		return result.response?.text();
+	}
+
+	return {
+		name: 'gemini',
+		async summarize(request, { timeoutMs }) {
+			const text = await complete(SUMMARY_INSTRUCTIONS, buildSummaryRequest(request), timeoutMs);
+			return parseSummary('gemini', text);
+		},
+		async extractEntities(request, { timeoutMs }) {
+			const text = await complete(ENTITY_INSTRUCTIONS, buildEntityRequest(request), timeoutMs);
+			return parseEntities('gemini', text, request);
+		},
+		async playTurn(request, { timeoutMs }) {
+			const text = await complete(CO_PLAYER_INSTRUCTIONS, buildTurnRequest(request), timeoutMs);
+			return parseTurn('gemini', text, request);
+		}
+	};
+}
+
+const PROVIDER_FACTORIES = {
+	local: createLocalProvider,
+	openai: createOpenAIProvider,
+	gemini: createGeminiProvider
+};
+
+/**
+ * Create the text provider selected by env config
+ * @param {Record<string, string|undefined>} env - Private env vars ($env/dynamic/private)
+ * @param {string} [name] - Override the configured provider (e.g. 'local' in development mode)
+ * @returns {{ name: string, summarize: Function, extractEntities: Function, playTurn: Function }}
+ */
+export function getTextProvider(env, name) {
+	const providerName = (name || env.TEXT_PROVIDER || 'local').toLowerCase();
+	const factory = PROVIDER_FACTORIES[providerName];
+	if (!factory) {
+		throw new TextProviderError(
+			`Unknown TEXT_PROVIDER "${providerName}" (expected ${Object.keys(PROVIDER_FACTORIES).join(', ')})`,
+			{ code: 'config', provider: providerName, status: 500 }
+		);
+	}
+	return factory(env);
+}
+
+/**
+ * Request timeout from env config
+ * @param {Record<string, string|undefined>} env - Private env vars
+ * @returns {number} - Timeout in milliseconds
+ */
+export function getTextTimeout(env) {
+	return Number(env.TEXT_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+}
@@ -0,0 +1,349 @@
+// src/routes/games/the-ground-itself/server/textRequests.js
+
+/**
+ * TEXT REQUEST GUARDS (SERVER ONLY)
+ *
+ * Body checks for the routes that call the text model, so nothing reaches a
+ * paid model unless it has the shape the client services send - known
+ * fields only, right types, capped lengths and counts:
+ *
+ * - parseSummaryRequest(): api/summarize (logic/summaryService.js)
+ * - parseCodexRequest():   api/codex (logic/codexService.js)
+ * - parseCoPlayerRequest(): api/co-player (logic/coPlayerService.js)
+ *
+ * The story itself is the players' writing, so a story too long to send gets
+ * its own player-facing 413; anything else wrong is a 400 listing every
+ * problem found. Both are ImageRequestErrors, which the routes already turn
+ * into responses alongside the rate limit.
+ */
+
+import { ImageRequestError } from './imageRequests.js';
+import { CODEX_KINDS, MAX_DESCRIPTION_LENGTH, MAX_NAME_LENGTH } from '../logic/codex.js';
+import { CO_PLAYER_TURN_KINDS } from '../logic/coPlayer.js';
+
+const MAX_SETTING_LENGTH = 2000;
+const MAX_EVENTS = 400;
+const MAX_EVENT_TEXT_LENGTH = 4000;
+const MAX_EVENT_ID_LENGTH = 64;
+const MAX_EVENT_TYPE_LENGTH = 40;
+const MAX_SUMMARY_TEXT_LENGTH = 2000;
+const MAX_CODEX_ENTRIES = 200;
+// Deck packs can add questions and situations, so these leave them plenty of room
+const MAX_QUESTIONS = 50;
+const MAX_QUESTION_LENGTH = 1000;
+const MAX_UNIT_LENGTH = 40;
+const MAX_SEED_LENGTH = 64;
+// Same caps the setup screen applies to lines and veils
+const MAX_SAFETY_ITEMS = 20;
+const MAX_SAFETY_ITEM_LENGTH = 100;
+
+const EVENT_TEXT_FIELDS = ['question', 'answer'];
+const TURN_FIELDS = [
+	'kind',
+	'settingDescription',
+	'timelineUnit',
+	'events',
+	'codex',
+	'lines',
+	'veils',
+	'seed',
+	'attempt'
+];
+const TURN_KIND_FIELDS = {
+	card: ['question', 'situations'],
+	tenCard: ['questions'],
+	timeGap: ['questions', 'amount', 'unit', 'direction']
+};
+const TIME_GAP_DIRECTIONS = ['forward', 'backward'];
+
+function isObject(value) {
+	return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readBody(body, fields) {
+	if (!isObject(body)) {
+		throw new ImageRequestError('Request body must be a JSON object', { code: 'invalid' });
+	}
+	return Object.keys(body)
+		.filter((field) => !fields.includes(field))
+		.map((field) => `Unknown field: ${field}`);
+}
+
+function fail(errors) {
+	if (errors.length > 0) {
+		throw new ImageRequestError(errors.join('. '), { code: 'invalid', details: { errors } });
+	}
+}
+
+function checkText(value, field, maxLength, errors) {
+	if (typeof value !== 'string') {
+		errors.push(`${field} must be a string`);
+	} else if (value.length > maxLength) {
+		errors.push(`${field} is longer than ${maxLength} characters`);
+	}
+}
+
+function checkTextList(value, field, { maxItems, maxLength, required = false }, errors) {
+	if (
+		!Array.isArray(value) ||
+		(required && value.length === 0) ||
+		value.length > maxItems ||
+		!value.every((item) => typeof item === 'string' && item.length <= maxLength)
+	) {
+		errors.push(
+			`${field} must be ${required ? '1 to ' : 'at most '}${maxItems} strings of up to ${maxLength} characters`
+		);
+	}
+}
+
+// ===== STORY =====
+
+/**
+ * The place and its history are what the players wrote, so running over
+ * the caps is reported to them rather than as a bad request
+ * @throws {ImageRequestError} - 413 if the story is too long to send
+ */
+function checkStoryLength({ settingDescription, events }) {
+	const tooLong =
+		(typeof settingDescription === 'string' && settingDescription.length > MAX_SETTING_LENGTH) ||
+		(Array.isArray(events) &&
+			(events.length > MAX_EVENTS ||
+				events.some(
+					(event) =>
+						isObject(event) &&
+						EVENT_TEXT_FIELDS.some(
+							(field) =>
+								typeof event[field] === 'string' && event[field].length > MAX_EVENT_TEXT_LENGTH
+						)
+				)));
+
+	if (tooLong) {
+		throw new ImageRequestError(
+			'The story is too long to send to the text model. Shorter answers will work again.',
+			{
+				code: 'prompt_too_long',
+				status: 413,
+				details: {
+					maxSettingLength: MAX_SETTING_LENGTH,
+					maxEvents: MAX_EVENTS,
+					maxEventTextLength: MAX_EVENT_TEXT_LENGTH
+				}
+			}
+		);
+	}
+}
+
+/**
+ * Check events in the compactHistory() shape
+ */
+function checkEvents(events, errors) {
+	if (!Array.isArray(events)) {
+		errors.push('events must be an array');
+		return;
+	}
+
+	const valid = events.every(
+		(event) =>
+			isObject(event) &&
+			typeof event.id === 'string' &&
+			event.id.length <= MAX_EVENT_ID_LENGTH &&
+			typeof event.type === 'string' &&
+			event.type.length <= MAX_EVENT_TYPE_LENGTH &&
+			Number.isInteger(event.cycle) &&
+			EVENT_TEXT_FIELDS.every((field) => event[field] == null || typeof event[field] === 'string')
+	);
+	if (!valid) {
+		errors.push('events must be a list of { id, type, cycle, question, answer }');
+	}
+}
+
+/**
+ * Check a summary in the storySummary.js shape, as sent back for folding in
+ */
+function checkSummary(summary, errors) {
+	if (!isObject(summary)) {
+		errors.push('previousSummary must be an object or null');
+		return;
+	}
+
+	checkText(summary.setup, 'previousSummary.setup', MAX_SUMMARY_TEXT_LENGTH, errors);
+	checkText(summary.current, 'previousSummary.current', MAX_SUMMARY_TEXT_LENGTH, errors);
+	if (
+		!Array.isArray(summary.cycles) ||
+		summary.cycles.length > MAX_EVENTS ||
+		!summary.cycles.every(
+			(entry) =>
+				isObject(entry) &&
+				Number.isFinite(entry.cycle) &&
+				typeof entry.summary === 'string' &&
+				entry.summary.length <= MAX_SUMMARY_TEXT_LENGTH
+		)
+	) {
+		errors.push('previousSummary.cycles must be a list of { cycle, summary }');
+	}
+}
+
+/**
+ * Check codex entries as the services send them - { kind, name } with an
+ * optional description, held to the caps the codex panel applies
+ */
+function checkCodex(codex, errors) {
+	if (
+		!Array.isArray(codex) ||
+		codex.length > MAX_CODEX_ENTRIES ||
+		!codex.every(
+			(entry) =>
+				isObject(entry) &&
+				Object.hasOwn(CODEX_KINDS, entry.kind) &&
+				typeof entry.name === 'string' &&
+				entry.name.length <= MAX_NAME_LENGTH &&
+				(entry.description === undefined ||
+					(typeof entry.description === 'string' &&
+						entry.description.length <= MAX_DESCRIPTION_LENGTH))
+		)
+	) {
+		errors.push(`codex must be a list of at most ${MAX_CODEX_ENTRIES} { kind, name, description }`);
+	}
+}
+
+// ===== CO-PLAYER TURN =====
+
+/**
+ * Check what a turn of each kind asks the co-player (see logic/coPlayer.js)
+ */
+function checkTurnKind(turn, errors) {
+	if (turn.kind === 'card') {
+		if (typeof turn.question !== 'string' || !turn.question.trim()) {
+			errors.push('question is required');
+		} else {
+			checkText(turn.question, 'question', MAX_QUESTION_LENGTH, errors);
+		}
+		const situations = turn.situations ?? [];
+		if (
+			!Array.isArray(situations) ||
+			situations.length > MAX_QUESTIONS ||
+			!situations.every(
+				(situation) =>
+					isObject(situation) &&
+					typeof situation.name === 'string' &&
+					situation.name.length <= MAX_QUESTION_LENGTH &&
+					typeof situation.description === 'string' &&
+					situation.description.length <= MAX_QUESTION_LENGTH
+			)
+		) {
+			errors.push(`situations must be a list of at most ${MAX_QUESTIONS} { name, description }`);
+		}
+		return;
+	}
+
+	checkTextList(
+		turn.questions,
+		'questions',
+		{ maxItems: MAX_QUESTIONS, maxLength: MAX_QUESTION_LENGTH, required: true },
+		errors
+	);
+	if (turn.kind === 'timeGap') {
+		if (typeof turn.amount !== 'number' || !Number.isInteger(turn.amount) || turn.amount < 0) {
+			errors.push('amount must be a whole number');
+		}
+		checkText(turn.unit, 'unit', MAX_UNIT_LENGTH, errors);
+		if (!TIME_GAP_DIRECTIONS.includes(turn.direction)) {
+			errors.push(`direction must be one of ${TIME_GAP_DIRECTIONS.join(', ')}`);
+		}
+	}
+}
+
+// ===== ROUTES =====
+
+/**
+ * Validate a summarize request body
+ * @param {unknown} body - Parsed JSON body
+ * @returns {{ settingDescription: string, events: Array, previousSummary: Object|null, sinceIndex: number }}
+ * @throws {ImageRequestError} - 413 for a story too long to send, 400 with details.errors otherwise
+ */
+export function parseSummaryRequest(body) {
+	const errors = readBody(body, ['settingDescription', 'events', 'previousSummary', 'sinceIndex']);
+	const { settingDescription = '', events, previousSummary = null, sinceIndex = 0 } = body;
+
+	checkStoryLength({ settingDescription, events });
+	checkText(settingDescription, 'settingDescription', MAX_SETTING_LENGTH, errors);
+	checkEvents(events, errors);
+	if (previousSummary !== null) checkSummary(previousSummary, errors);
+	if (
+		!Number.isInteger(sinceIndex) ||
+		sinceIndex < 0 ||
+		(Array.isArray(events) && sinceIndex > events.length)
+	) {
+		errors.push('sinceIndex must be a whole number no larger than the number of events');
+	}
+
+	fail(errors);
+	return { settingDescription, events, previousSummary, sinceIndex };
+}
+
+/**
+ * Validate a codex suggestion request body
+ * @param {unknown} body - Parsed JSON body
+ * @returns {{ settingDescription: string, events: Array, codex: Array }}
+ * @throws {ImageRequestError} - 413 for a story too long to send, 400 with details.errors otherwise
+ */
+export function parseCodexRequest(body) {
+	const errors = readBody(body, ['settingDescription', 'events', 'codex']);
+	const { settingDescription = '', events, codex = [] } = body;
+
+	checkStoryLength({ settingDescription, events });
+	checkText(settingDescription, 'settingDescription', MAX_SETTING_LENGTH, errors);
+	checkEvents(events, errors);
+	checkCodex(codex, errors);
+
+	fail(errors);
+	return { settingDescription, events, codex };
+}
+
+/**
+ * Validate a co-player request body - { turn } with a turn request in the
+ * shape logic/coPlayer.js describes
+ * @param {unknown} body - Parsed JSON body
+ * @returns {Object} - The turn request
+ * @throws {ImageRequestError} - 413 for a story too long to send, 400 with details.errors otherwise
+ */
+export function parseCoPlayerRequest(body) {
+	fail(readBody(body, ['turn']));
+	const { turn } = body;
+	if (!isObject(turn)) {
+		throw new ImageRequestError('turn must be an object', { code: 'invalid' });
+	}
+	if (!CO_PLAYER_TURN_KINDS.includes(turn.kind)) {
+		throw new ImageRequestError(`kind must be one of ${CO_PLAYER_TURN_KINDS.join(', ')}`, {
+			code: 'invalid'
+		});
+	}
+
+	const fields = [...TURN_FIELDS, ...TURN_KIND_FIELDS[turn.kind]];
+	const errors = Object.keys(turn)
+		.filter((field) => !fields.includes(field))
+		.map((field) => `Unknown field: ${field}`);
+	const { settingDescription = '', events } = turn;
+
+	checkStoryLength({ settingDescription, events });
+	checkText(settingDescription, 'settingDescription', MAX_SETTING_LENGTH, errors);
+	checkText(turn.timelineUnit ?? '', 'timelineUnit', MAX_UNIT_LENGTH, errors);
+	checkEvents(events, errors);
+	checkCodex(turn.codex ?? [], errors);
+	for (const list of ['lines', 'veils']) {
+		checkTextList(
+			turn[list] ?? [],
+			list,
+			{ maxItems: MAX_SAFETY_ITEMS, maxLength: MAX_SAFETY_ITEM_LENGTH },
+			errors
+		);
+	}
+	checkText(turn.seed ?? '', 'seed', MAX_SEED_LENGTH, errors);
+	if (turn.attempt !== undefined && !(Number.isInteger(turn.attempt) && turn.attempt >= 0)) {
+		errors.push('attempt must be a whole number');
+	}
+	checkTurnKind(turn, errors);
+
+	fail(errors);
+	return turn;
+}
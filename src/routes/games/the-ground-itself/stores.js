@@ -1,55 +1,129 @@
 // src/routes/games/the-ground-itself/stores.js
 import { writable } from 'svelte/store';
 
-export const gameState = writable({
-	// Overall Game Flow
-	currentPhase: 'intro', // intro, setup-setting, setup-timeline, setup-place, mainPlay, timeGap, end
-
-	// Setup Data
-	settingDescription: '',
-	timelineUnit: null, // e.g., 'days', 'weeks', 'years', 'decades', 'centuries', 'millennia'
-	timelineRoll: null, // the actual die roll result
-	timelineDescription: null, // e.g., 'Intimate, close-textured story'
-	timelineImplication: null, // What this timeline means for storytelling
-	timelineExample: null, // Example of what this timeline is good for
-	imageStyle: 'atmospheric, digital painting, high detail', // default style, user can change
-	customImageStyle: '', // User-defined custom style (takes priority over imageStyle)
-	faceCardDeck: [],
-	currentFaceCard: null, // Current face card being answered
-	faceCardIndex: 0, // Progress through face cards (0-11)
-	faceCardsComplete: false, // Flag for completion
+/**
+ * Version of the gameState shape written into save slots.
+ * Bump this whenever the state shape changes and add a matching
+ * migration in logic/saveSlots.js so older saves keep loading.
+ */
+export const GAME_STATE_SCHEMA_VERSION = 16;
+
+/**
+ * Build a fresh game state - used for the initial store value,
+ * for starting a new save slot, and as defaults when migrating saves
+ * @returns {Object} - A brand new game state
+ */
+export function createInitialGameState() {
+	return {
+		// Overall Game Flow
+		currentPhase: 'intro', // intro, setup-setting, setup-timeline, setup-place, mainPlay, timeGap, end
+
+		// Setup Data
+		gameId: null, // Set by startGame(); the server counts this game's image budget against it
+		seed: null, // Seeds every shuffle and die roll (see logic/random.js) so games are reproducible
+		deckPack: null, // Custom prompts this game is played with: { id, name, tables } - null for the base game (see logic/deckPacks.js)
+		variant: null, // Rule changes chosen at setup: { cycles, excludedRanks, timeGapDirection, skipFaceCards, focusedSituations } - null plays the rulebook game (see logic/variants.js)
+		safety: { lines: [], veils: [] }, // Session lines (never appear) and veils (stay off-screen), kept out of every image prompt too
+		settingDescription: '',
+		timelineUnit: null, // e.g., 'days', 'weeks', 'years', 'decades', 'centuries', 'millennia'
+		timelineRoll: null, // the actual die roll result
+		timelineDescription: null, // e.g., 'Intimate, close-textured story'
+		timelineImplication: null, // What this timeline means for storytelling
+		timelineExample: null, // Example of what this timeline is good for
+		timelineRollCount: 0, // Number of timeline rolls so far, so each reroll gets its own seeded roll
+		imageStyle: 'atmospheric, digital painting, high detail', // default style, user can change
+		customImageStyle: '', // User-defined custom style (takes priority over imageStyle)
+		imageNegativePrompt: '', // Comma-separated things to keep out of this game's images, on top of the server's defaults
+		promptTemplates: {}, // Image prompt template overrides by template id, edited in the prompt lab - missing ids use the defaults in logic/promptTemplates.js
+		faceCardDeck: [],
+		currentFaceCard: null, // Current face card being answered
+		faceCardIndex: 0, // Progress through face cards (0-11)
+		faceCardsComplete: false, // Flag for completion
 	
-	// Enhanced Answer Tracking for Image Generation
-	answeredQuestionCount: 0, // Count of actually answered questions (not skipped)
-	recentAnswers: [], // Last 3 answered question/answer pairs for image generation
-	setupAnswers: [], // All setup answers for reference
-
-	// Core Gameplay Data
-	numericalDeck: [],
-	activeCard: null,
-	tensDrawn: 0,
-	currentCycle: 1,
-	cardRankCounts: {
-		ace: 0,
-		two: 0,
-		three: 0,
-		four: 0,
-		five: 0,
-		six: 0,
-		seven: 0,
-		eight: 0,
-		nine: 0
-	},
-	turnState: 'drawing', // drawing, deciding, answering, focusedSituation
-
-	// Narrative & Visuals
-	answers: {}, // A single object to hold all answers, keyed uniquely
-	imagePrompt: '',
-	currentImageUrl:
-		'https://science.nasa.gov/wp-content/uploads/2023/09/rcw120-threecolor-with-star-final.png?w=900', // Provide a default starting image
-	isGeneratingImage: false,
-
-	// Development/Debug
-	isDevelopmentMode: true, // For mock API calls and debugging
-	lastGeneratedPrompt: '' // To show prompts during development
-});
+		// Enhanced Answer Tracking for Image Generation
+		answeredQuestionCount: 0, // Count of actually answered questions (not skipped)
+		recentAnswers: [], // Last 3 answered question/answer pairs for image generation
+		setupAnswers: [], // All setup answers for reference
+
+		// Core Gameplay Data
+		numericalDeck: [],
+		activeCard: null,
+		tensDrawn: 0,
+		currentCycle: 1,
+		cardRankCounts: {
+			ace: 0,
+			two: 0,
+			three: 0,
+			four: 0,
+			five: 0,
+			six: 0,
+			seven: 0,
+			eight: 0,
+			nine: 0
+		},
+		turnState: 'drawing', // drawing, deciding, answering, focusedSituation
+		players: [], // Hot-seat roster: { id, name, pronouns, color, isAi } - empty for an unattributed game
+		currentPlayerIndex: -1, // Whose turn it is; advances on every numerical card draw
+		timeGaps: [], // One record per completed time gap: { tenNumber, tenCard, amount, unit, direction, answers } (see logic/timeGaps.js)
+		tenCardSetAside: false, // The X-card set aside this time gap's ten-card prompt; reset as each gap opens
+
+		// Narrative & Visuals
+		answers: {}, // A single object to hold all answers, keyed uniquely
+		history: [], // Append-only event log: { id, type, turn, cycle, phase, player, card, question, answer, imageUrl, imagePrompt, timestamp }
+		codex: [], // Recurring people, landmarks, groups, objects and names of the place: { id, kind, name, description, cycle, eventId } (see logic/codex.js)
+		storySummary: null, // Cached rolling summary for image prompts (see logic/summaryService.js); basedOn = id of the last event it covers
+		imagePrompt: '',
+		currentImageUrl:
+			'https://science.nasa.gov/wp-content/uploads/2023/09/rcw120-threecolor-with-star-final.png?w=900', // Provide a default starting image
+		isGeneratingImage: false,
+
+		// Development/Debug
+		isDevelopmentMode: true, // Shows prompts for debugging - the server alone decides which image and text providers run
+		lastGeneratedPrompt: '' // To show prompts during development
+	};
+}
+
+export const gameState = writable(createInitialGameState());
+
+// Last word from the content filter about an image: { type: 'filtered'|'blocked', message } - never saved
+export const imageNotice = writable(null);
+
+// This game's image budget from the server: { used, limit, remaining } - limit is null when unlimited
+export const imageBudget = writable(null);
+
+// Image requests, newest last: [{ id, eventId, label, status, attempt, error }] - never saved.
+// status: 'queued' | 'generating' | 'retrying' | 'done' | 'failed' | 'cancelled' | 'superseded'
+export const imageRequests = writable([]);
+
+// Save slot index for the slot manager UI: [{ id, name, createdAt, updatedAt, phase, settingDescription }]
+export const saveSlots = writable([]);
+
+// Id of the slot the current game autosaves into (null until the game leaves the intro screen)
+export const activeSlotId = writable(null);
+
+// Custom deck packs for the pack picker: [{ id, name, description, tables, updatedAt }]
+export const deckPacks = writable([]);
+
+// Multiplayer room this browser is connected to (see logic/multiplayer.js) - never saved to a slot
+export function createInitialRoomState() {
+	return {
+		code: null,
+		participantId: null, // Our public id, as the room's participant list shows it
+		token: null, // Our secret for writing to the room - never shared with the others
+		version: 0, // Room version our gameState matches
+		participants: [], // [{ id, name, playerId, isHost, connected }]
+		comments: [], // [{ id, participantId, name, text, timestamp }]
+		xCardAt: null, // When someone in the room last tapped the X-card
+		status: 'offline', // offline, connecting, connected, reconnecting
+		error: null
+	};
+}
+
+export const roomState = writable(createInitialRoomState());
+
+// Rules drawer (see logic/rulebook.js): { open, sectionId, query } - never saved
+export const rulesDrawer = writable({ open: false, sectionId: null, query: '' });
+
+// Turn-boundary snapshots for undo/redo: { past: [state...], future: [state...] }
+// Kept in memory only - a reload starts with a fresh undo history
+export const undoState = writable({ past: [], future: [] });